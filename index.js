@@ -2,18 +2,51 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const { nip19 } = require('nostr-tools');
-const { marked } = require('marked');
 const nostrService = require('./services/nostrService');
+const { isBotUserAgent, renderPreviewPage, wantsHtmlPreview } = require('./services/previewPage');
+const { renderEntityCard } = require('./services/cardRenderer');
+const { cacheBackend, closeCacheStores, createCacheStore } = require('./services/cacheStore');
+const {
+  isOutboundRefusal,
+  isResponseTooLarge,
+  outboundGet,
+  outboundMaxResponseBytes,
+  peekResponseStream,
+  readResponseStream,
+} = require('./services/outboundHttp');
+const {
+  decodeTextBody,
+  getImageDimensions,
+  getMimeType,
+  getPdfDetails,
+  getPreviewType,
+  isAmbiguousMimeType,
+  sniffMimeType,
+} = require('./services/mediaInspector');
+const { resolveProviderMetadata } = require('./services/metadataProviders');
+const { isMarkdownFormat, limitMarkdownDocument, markdownFormats, renderMarkdownDocument } = require('./services/markdownFormats');
+const { buildNostrMarkdownDocument } = require('./services/nostrMarkdown');
+const { removeBoilerplate, selectReadableContentRoot } = require('./services/readableContent');
+const { httpMetricsMiddleware, recordCacheLookup, recordUrlFetch, renderMetrics } = require('./services/metrics');
 const cheerio = require('cheerio');
-const axios = require('axios');
-const http = require('http');
-const https = require('https');
 
 const app = express();
 const port = process.env.PORT || 3000;
 const ogCacheTtlMs = Number.parseInt(process.env.OG_CACHE_TTL_MS || '3600000', 10);
 const ogErrorCacheTtlMs = Number.parseInt(process.env.OG_ERROR_CACHE_TTL_MS || '300000', 10);
 const ogRequestTimeoutMs = Number.parseInt(process.env.OG_REQUEST_TIMEOUT_MS || '4000', 10);
+const ogImageProbeBytes = Number.parseInt(process.env.OG_IMAGE_PROBE_BYTES || '262144', 10);
+const ogPdfMaxBytes = Number.parseInt(process.env.OG_PDF_MAX_BYTES || '20971520', 10);
+const ogMaxDocumentRedirects = Number.parseInt(process.env.OG_MAX_DOCUMENT_REDIRECTS || '3', 10);
+const ogMetaRefreshMaxDelaySeconds = Number.parseInt(process.env.OG_META_REFRESH_MAX_DELAY_SECONDS || '10', 10);
+const markdownChunkMaxChars = Number.parseInt(process.env.MARKDOWN_CHUNK_MAX_CHARS || '8000', 10);
+// maxTokens is converted with the usual estimate of four characters per token for English text
+const markdownCharsPerToken = 4;
+const cardCacheTtlMs = Number.parseInt(process.env.CARD_CACHE_TTL_MS || String(ogCacheTtlMs), 10);
+const publicBaseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+const batchMaxItems = Number.parseInt(process.env.BATCH_MAX_ITEMS || '50', 10);
+const inFlightLockTtlMs = Number.parseInt(process.env.CACHE_LOCK_TTL_MS || '15000', 10);
+const inFlightPollIntervalMs = Number.parseInt(process.env.CACHE_LOCK_POLL_INTERVAL_MS || '100', 10);
 const ignoredOgDomainList = [
   'andrzej.btc',
   'core.excludesfile',
@@ -26,6 +59,8 @@ const ignoredOgDomains = new Set([
     .map((domain) => domain.trim().toLowerCase())
     .filter(Boolean),
 ]);
+// Sites that block page fetches. Those with a metadata provider (services/providers) only fall
+// back to the bypass when the provider is disabled or fails.
 const metadataBypassOgDomainList = [
   'reddit.com',
 ];
@@ -37,55 +72,11 @@ const metadataBypassOgDomains = new Set([
     .filter(Boolean),
 ]);
 
-const axiosClient = axios.create({
-  httpAgent: new http.Agent({ keepAlive: true }),
-  httpsAgent: new https.Agent({ keepAlive: true }),
-});
-
-// In-memory cache with TTL
-class MemoryCache {
-  constructor() {
-    this.cache = new Map();
-  }
-
-  set(key, value, ttl = 3600000) { // Default TTL: 1 hour (3600000ms)
-    const expiresAt = Date.now() + ttl;
-    this.cache.set(key, { value, expiresAt });
-  }
-
-  get(key) {
-    const cached = this.cache.get(key);
-    if (!cached) return null;
-
-    if (Date.now() > cached.expiresAt) {
-      this.cache.delete(key);
-      return null;
-    }
-
-    return cached.value;
-  }
-
-  delete(key) {
-    this.cache.delete(key);
-  }
-
-  clear() {
-    this.cache.clear();
-  }
-
-  // Clean up expired entries
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.cache.entries()) {
-      if (now > entry.expiresAt) {
-        this.cache.delete(key);
-      }
-    }
-  }
-}
-
 // Create cache instance
-const cache = new MemoryCache();
+const cache = createCacheStore('responses', {
+  maxEntries: Number.parseInt(process.env.CACHE_MAX_ENTRIES || '10000', 10),
+  maxBytes: Number.parseInt(process.env.CACHE_MAX_BYTES || '268435456', 10),
+});
 const inFlightRequests = new Map();
 
 function normalizeTargetUrl(rawUrl) {
@@ -129,6 +120,18 @@ function parseBooleanQueryParam(value, defaultValue = true) {
   return defaultValue;
 }
 
+// undefined when the parameter is missing, NaN when it is not a positive integer
+function parsePositiveIntegerQueryParam(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  const normalizedValue = String(value).trim();
+  return /^\d+$/.test(normalizedValue) && Number.parseInt(normalizedValue, 10) > 0
+    ? Number.parseInt(normalizedValue, 10)
+    : Number.NaN;
+}
+
 function isIgnoredOgDomain(targetUrl) {
   return matchesDomainList(targetUrl, ignoredOgDomains);
 }
@@ -174,31 +177,73 @@ function sendOgResponse(res, response) {
 
 function sendMarkdownResponse(res, response) {
   if (response.ok) {
-    return res.type('text/markdown; charset=utf-8').send(response.body);
+    return res
+      .type(response.contentType || 'text/markdown; charset=utf-8')
+      .set(response.headers || {})
+      .send(response.body);
   }
 
   return res.status(response.status).json(response.body);
 }
 
-function cacheOgResponse(cacheKey, response, ttl) {
-  cache.set(cacheKey, response, ttl);
-
-  const resolvedUrl = response.cacheAliases?.[0];
-  if (!resolvedUrl) {
-    return;
+function sendCardResponse(res, response) {
+  if (response.ok) {
+    return res
+      .type('image/png')
+      .set('Cache-Control', `public, max-age=${Math.floor(cardCacheTtlMs / 1000)}`)
+      .send(response.body);
   }
 
-  const normalizedResolvedUrl = normalizeTargetUrl(resolvedUrl);
-  if (!normalizedResolvedUrl) {
-    console.warn(`Could not normalize resolved URL for cache: ${resolvedUrl}`);
-    return;
+  return res.status(response.status).json(response.body);
+}
+
+function sendEntityResponse(req, res, entityType, entityId, data) {
+  res.vary('Accept');
+  res.vary('User-Agent');
+
+  if (!wantsHtmlPreview(req)) {
+    return res.json(data);
   }
 
-  const cacheKeyPrefix = cacheKey.includes(':') ? cacheKey.slice(0, cacheKey.indexOf(':')) : cacheKey;
-  const resolvedCacheKey = `${cacheKeyPrefix}:${normalizedResolvedUrl}`;
-  if (resolvedCacheKey !== cacheKey) {
-    cache.set(resolvedCacheKey, response, ttl);
+  const baseUrl = publicBaseUrl || `${req.protocol}://${req.get('host')}`;
+  const html = renderPreviewPage(entityType, entityId, data, {
+    redirect: !isBotUserAgent(req.get('User-Agent')),
+    cardImageUrl: `${baseUrl}/card/${encodeURIComponent(entityId)}.png`,
+  });
+  return res.type('text/html; charset=utf-8').send(html);
+}
+
+// Read a cached response for a request, counting the lookup in the cache metrics
+async function getCachedResponse(cacheKey) {
+  const cachedResult = await cache.get(cacheKey);
+  recordCacheLookup(cacheKey, cachedResult ? 'hit' : 'miss');
+  return cachedResult;
+}
+
+// Cache a URL response under `${cacheKeyPrefix}:${url}` for the requested URL and each of its aliases
+async function cacheOgResponse(cacheKeyPrefix, targetUrl, response, ttl) {
+  const cacheKey = `${cacheKeyPrefix}:${targetUrl}`;
+  await cache.set(cacheKey, response, ttl);
+
+  const aliasCacheKeys = new Set();
+
+  // Every URL the response was reached through (redirect hops, final and canonical URL) shares it
+  for (const alias of response.cacheAliases || []) {
+    if (!alias) {
+      continue;
+    }
+
+    const normalizedAlias = normalizeTargetUrl(alias);
+    if (!normalizedAlias) {
+      console.warn(`Could not normalize resolved URL for cache: ${alias}`);
+      continue;
+    }
+
+    aliasCacheKeys.add(`${cacheKeyPrefix}:${normalizedAlias}`);
   }
+
+  aliasCacheKeys.delete(cacheKey);
+  await Promise.all([...aliasCacheKeys].map((aliasCacheKey) => cache.set(aliasCacheKey, response, ttl)));
 }
 
 function buildUrlFetchErrorResponse(targetUrl, status, message, finalUrl = targetUrl, suggestion) {
@@ -227,7 +272,7 @@ async function fetchUrlDocument(targetUrl) {
   let finalUrl = targetUrl;
 
   try {
-    response = await axiosClient.get(targetUrl, {
+    response = await outboundGet(targetUrl, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
@@ -243,17 +288,22 @@ async function fetchUrlDocument(targetUrl) {
         'Sec-Fetch-User': '?1',
         'Upgrade-Insecure-Requests': '1'
       },
-      maxRedirects: 20,
       timeout: ogRequestTimeoutMs,
+      responseType: 'stream',
       validateStatus: function (status) {
         return status >= 200 && status < 500;
       }
     });
 
-    finalUrl = response.request.res?.responseUrl || targetUrl;
+    finalUrl = response.finalUrl;
+    recordUrlFetch(response.status);
 
     console.log(`Successfully fetched ${targetUrl}, status: ${response.status}, final URL: ${finalUrl}`);
 
+    if (response.status >= 400) {
+      response.data.destroy();
+    }
+
     if (response.status === 403) {
       console.error(`Got 403 from ${targetUrl}`);
       return buildUrlFetchErrorResponse(
@@ -274,15 +324,31 @@ async function fetchUrlDocument(targetUrl) {
       );
     }
 
-    return {
-      ok: true,
-      status: response.status,
-      html: typeof response.data === 'string' ? response.data : String(response.data || ''),
-      finalUrl,
-      cacheAliases: [finalUrl],
-    };
+    return await readUrlDocument(response);
   } catch (error) {
     console.error(`Error fetching ${targetUrl}:`, error.message);
+    recordUrlFetch(
+      isOutboundRefusal(error) ? 'refused' : error.code === 'ECONNABORTED' ? 'timeout' : error.response?.status || 'error'
+    );
+
+    if (isOutboundRefusal(error)) {
+      return buildUrlFetchErrorResponse(
+        targetUrl,
+        403,
+        `Refusing to fetch URL: ${error.message}`,
+        finalUrl,
+        'Only public http(s) addresses on allowed ports can be fetched.'
+      );
+    }
+
+    if (isResponseTooLarge(error)) {
+      return buildUrlFetchErrorResponse(
+        targetUrl,
+        502,
+        `The response is larger than the limit of ${outboundMaxResponseBytes} bytes`,
+        finalUrl
+      );
+    }
 
     if (error.code === 'ECONNABORTED') {
       return buildUrlFetchErrorResponse(
@@ -306,33 +372,402 @@ async function fetchUrlDocument(targetUrl) {
   }
 }
 
-function extractOpenGraphMetadataFromHtml(html, targetUrl, finalUrl) {
-  const $ = cheerio.load(html);
+/**
+ * Read a fetched response according to its type. HTML and text bodies are read completely,
+ * images only far enough to find their dimensions, PDFs up to OG_PDF_MAX_BYTES to extract their
+ * information and text, and audio, video and other files are described from their headers alone.
+ * @param {import('axios').AxiosResponse} response - A streamed response from outboundGet
+ * @returns {Promise<Object>} The document, with `previewType` telling which fields are present
+ */
+async function readUrlDocument(response) {
+  const stream = response.data;
+  const { deadline } = response;
+  const contentLength = Number.parseInt(response.headers['content-length'], 10);
+  let mimeType = getMimeType(response.headers['content-type']);
+
+  if (isAmbiguousMimeType(mimeType)) {
+    // Without a usable Content-Type, tell the format from the first bytes
+    mimeType = sniffMimeType(await peekResponseStream(stream, { deadline })) || mimeType || 'application/octet-stream';
+  }
 
-  const metadata = {
-    title: $('meta[property="og:title"]').attr('content'),
-    description: $('meta[property="og:description"]').attr('content'),
-    url: $('meta[property="og:url"]').attr('content') || finalUrl || targetUrl,
-    image: $('meta[property="og:image"]').attr('content'),
-    imageWidth: $('meta[property="og:image:width"]').attr('content'),
-    imageHeight: $('meta[property="og:image:height"]').attr('content')
+  const documentResponse = {
+    ok: true,
+    status: response.status,
+    previewType: getPreviewType(mimeType),
+    mimeType,
+    size: Number.isFinite(contentLength) ? contentLength : null,
+    finalUrl: response.finalUrl,
+    httpRedirects: response.redirects,
+    cacheAliases: [response.finalUrl],
   };
 
-  if (!metadata.title) metadata.title = $('title').text();
-  if (!metadata.description) metadata.description = $('meta[name="description"]').attr('content');
+  if (documentResponse.previewType === 'html' || documentResponse.previewType === 'text') {
+    const { body } = await readResponseStream(stream, outboundMaxResponseBytes, { deadline });
+    documentResponse.size = body.length;
+    documentResponse[documentResponse.previewType] = decodeTextBody(body, response.headers['content-type'], documentResponse.previewType);
+    return documentResponse;
+  }
+
+  if (documentResponse.previewType === 'image') {
+    const { body, complete } = await readResponseStream(stream, ogImageProbeBytes, { truncate: true, deadline });
+    if (complete) {
+      documentResponse.size = body.length;
+    }
+    Object.assign(documentResponse, getImageDimensions(body));
+    return documentResponse;
+  }
+
+  if (documentResponse.previewType === 'pdf') {
+    const { body, complete } = await readResponseStream(stream, ogPdfMaxBytes, { truncate: true, deadline });
+    if (!complete) {
+      console.warn(`PDF ${response.finalUrl} is larger than ${ogPdfMaxBytes} bytes, skipping text extraction`);
+      return documentResponse;
+    }
 
-  const metaRefresh = $('meta[http-equiv="refresh"]').attr('content');
-  if (metaRefresh && !metadata.title && !metadata.description) {
-    const refreshMatch = metaRefresh.match(/url=(.+)/i);
-    if (refreshMatch) {
-      const refreshUrl = refreshMatch[1].trim();
-      console.log(`Meta refresh detected, following to: ${refreshUrl}`);
+    documentResponse.size = body.length;
+    try {
+      documentResponse.pdf = await getPdfDetails(body);
+    } catch (error) {
+      console.warn(`Could not parse PDF ${response.finalUrl}:`, error.message);
     }
+    return documentResponse;
+  }
+
+  stream.destroy();
+  return documentResponse;
+}
+
+function getFileNameFromUrl(url) {
+  try {
+    const fileName = new URL(url).pathname.split('/').filter(Boolean).pop();
+    return fileName ? decodeURIComponent(fileName) : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Metadata of images, audio, video, PDFs and other files, in the shape of the HTML metadata
+function buildFileMetadata(documentResponse, targetUrl) {
+  const { finalUrl, previewType } = documentResponse;
+  const metadata = {
+    previewType,
+    title: getFileNameFromUrl(finalUrl),
+    description: undefined,
+    url: finalUrl || targetUrl,
+    mimeType: documentResponse.mimeType,
+    size: documentResponse.size,
+  };
+
+  if (previewType === 'image') {
+    metadata.width = documentResponse.width;
+    metadata.height = documentResponse.height;
+    metadata.image = metadata.url;
+    metadata.imageWidth = documentResponse.width;
+    metadata.imageHeight = documentResponse.height;
+  }
+
+  if (previewType === 'audio' || previewType === 'video') {
+    metadata[previewType] = metadata.url;
+  }
+
+  if (previewType === 'pdf' && documentResponse.pdf) {
+    const { pdf } = documentResponse;
+    metadata.title = pdf.title || metadata.title;
+    metadata.description = pdf.pages.find(Boolean)?.replace(/\s+/g, ' ').slice(0, 300) || undefined;
+    metadata.author = pdf.author;
+    metadata.pageCount = pdf.pageCount;
+  }
+
+  if (previewType === 'text') {
+    metadata.description = documentResponse.text.replace(/\s+/g, ' ').trim().slice(0, 300) || undefined;
   }
 
   return metadata;
 }
 
+function extractDocumentMetadata(documentResponse, targetUrl) {
+  if (documentResponse.previewType !== 'html') {
+    return buildFileMetadata(documentResponse, targetUrl);
+  }
+
+  return {
+    previewType: 'html',
+    ...extractOpenGraphMetadataFromHtml(documentResponse.html, targetUrl, documentResponse.finalUrl),
+  };
+}
+
+// Collect every <meta> tag as [key, content] pairs in document order, keyed by property, name or itemprop
+function collectMetaTags($) {
+  return $('meta[content]').toArray()
+    .map((element) => {
+      const key = $(element).attr('property') || $(element).attr('name') || $(element).attr('itemprop');
+      const content = normalizeWhitespace($(element).attr('content'));
+      return key && content ? [key.trim().toLowerCase(), content] : null;
+    })
+    .filter(Boolean);
+}
+
+function getMetaContent(metaTags, ...keys) {
+  for (const key of keys) {
+    const tag = metaTags.find(([tagKey]) => tagKey === key);
+    if (tag) {
+      return tag[1];
+    }
+  }
+
+  return undefined;
+}
+
+function parseDimension(value) {
+  const dimension = Number.parseInt(value, 10);
+  return Number.isFinite(dimension) && dimension > 0 ? dimension : undefined;
+}
+
+/**
+ * Group structured OpenGraph properties (og:image, og:image:width, ...) into one object per media item.
+ * A new item starts at every `og:<kind>` or `og:<kind>:url` tag.
+ * @param {Array<[string, string]>} metaTags - The meta tags from collectMetaTags
+ * @param {'image'|'video'|'audio'} kind - The OpenGraph media kind
+ * @param {string} baseUrl - The URL relative media URLs are resolved against
+ * @returns {Array<Object>} The media items
+ */
+function collectOpenGraphMedia(metaTags, kind, baseUrl) {
+  const items = [];
+  const prefix = `og:${kind}`;
+
+  for (const [key, content] of metaTags) {
+    if (key !== prefix && !key.startsWith(`${prefix}:`)) {
+      continue;
+    }
+
+    const property = key === prefix ? 'url' : key.slice(prefix.length + 1);
+    if (property === 'url' || !items.length) {
+      items.push({});
+    }
+
+    const item = items[items.length - 1];
+    if (property === 'url' || property === 'secure_url') {
+      item[property === 'url' ? 'url' : 'secureUrl'] = absolutizeUrl(content, baseUrl);
+    } else if (property === 'width' || property === 'height') {
+      item[property] = parseDimension(content);
+    } else if (property === 'type' || property === 'alt') {
+      item[property] = content;
+    }
+  }
+
+  return items
+    .map((item) => ({ ...item, url: item.url || item.secureUrl }))
+    .filter((item) => item.url);
+}
+
+function collectTwitterCard(metaTags, baseUrl) {
+  const twitter = {};
+
+  for (const [key, content] of metaTags) {
+    if (!key.startsWith('twitter:')) {
+      continue;
+    }
+
+    // twitter:image:alt becomes imageAlt, twitter:player:width becomes playerWidth
+    const property = key.slice('twitter:'.length)
+      .split(':')
+      .map((part, index) => (index ? part.charAt(0).toUpperCase() + part.slice(1) : part))
+      .join('')
+      .replace(/_(\w)/g, (match, letter) => letter.toUpperCase());
+
+    if (property && twitter[property] === undefined) {
+      twitter[property] = ['image', 'imageSrc', 'player', 'playerStream'].includes(property)
+        ? absolutizeUrl(content, baseUrl)
+        : content;
+    }
+  }
+
+  return Object.keys(twitter).length ? twitter : undefined;
+}
+
+function getLargestIconSize(sizes) {
+  return Math.max(0, ...String(sizes || '')
+    .split(/\s+/)
+    .map((size) => Number.parseInt(size.split('x')[0], 10))
+    .filter(Number.isFinite));
+}
+
+function findIcon($, relValues, baseUrl) {
+  const icons = $('link[rel][href]').toArray()
+    .filter((element) => {
+      const rel = String($(element).attr('rel')).toLowerCase().split(/\s+/);
+      return relValues.some((value) => rel.includes(value));
+    })
+    .map((element) => ({
+      href: $(element).attr('href'),
+      size: getLargestIconSize($(element).attr('sizes')),
+    }))
+    .sort((a, b) => b.size - a.size);
+
+  return icons.length ? absolutizeUrl(icons[0].href, baseUrl) : undefined;
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  return Array.isArray(value) ? value : [value];
+}
+
+function getJsonLdTypes(node) {
+  return toArray(node?.['@type']).map((type) => String(type).replace(/^.*[/#:]/, ''));
+}
+
+function getJsonLdName(value) {
+  const names = toArray(value)
+    .map((entry) => (typeof entry === 'string' ? entry : entry?.name))
+    .filter((name) => typeof name === 'string' && name.trim())
+    .map((name) => name.trim());
+
+  return names.length ? names.join(', ') : undefined;
+}
+
+function getJsonLdUrl(value, baseUrl) {
+  const entry = toArray(value)[0];
+  const url = typeof entry === 'string' ? entry : entry?.url || entry?.contentUrl || entry?.['@id'];
+  return typeof url === 'string' ? absolutizeUrl(url, baseUrl) : undefined;
+}
+
+function getJsonLdText(value) {
+  return typeof value === 'string' || typeof value === 'number' ? normalizeWhitespace(String(value)) || undefined : undefined;
+}
+
+const jsonLdArticleTypes = new Set(['Article', 'NewsArticle', 'BlogPosting', 'TechArticle', 'ScholarlyArticle', 'Report', 'SocialMediaPosting', 'LiveBlogPosting']);
+
+function normalizeJsonLdNode(node, baseUrl) {
+  const types = getJsonLdTypes(node);
+
+  if (types.some((type) => jsonLdArticleTypes.has(type))) {
+    return {
+      type: types.find((type) => jsonLdArticleTypes.has(type)),
+      headline: getJsonLdText(node.headline) || getJsonLdText(node.name),
+      description: getJsonLdText(node.description),
+      image: getJsonLdUrl(node.image, baseUrl),
+      datePublished: getJsonLdText(node.datePublished),
+      dateModified: getJsonLdText(node.dateModified),
+      author: getJsonLdName(node.author),
+      publisher: getJsonLdName(node.publisher),
+      url: getJsonLdUrl(node.url, baseUrl),
+    };
+  }
+
+  if (types.includes('Product')) {
+    const offer = toArray(node.offers)[0];
+    return {
+      type: 'Product',
+      name: getJsonLdText(node.name),
+      description: getJsonLdText(node.description),
+      image: getJsonLdUrl(node.image, baseUrl),
+      brand: getJsonLdName(node.brand),
+      sku: getJsonLdText(node.sku),
+      offers: offer ? {
+        price: getJsonLdText(offer.price ?? offer.lowPrice),
+        priceCurrency: getJsonLdText(offer.priceCurrency),
+        availability: getJsonLdText(offer.availability)?.replace(/^.*[/#]/, ''),
+      } : undefined,
+      url: getJsonLdUrl(node.url, baseUrl),
+    };
+  }
+
+  if (types.includes('VideoObject')) {
+    return {
+      type: 'VideoObject',
+      name: getJsonLdText(node.name),
+      description: getJsonLdText(node.description),
+      thumbnailUrl: getJsonLdUrl(node.thumbnailUrl || node.thumbnail, baseUrl),
+      uploadDate: getJsonLdText(node.uploadDate),
+      duration: getJsonLdText(node.duration),
+      contentUrl: getJsonLdUrl(node.contentUrl, baseUrl),
+      embedUrl: getJsonLdUrl(node.embedUrl, baseUrl),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Read the schema.org Article, Product and VideoObject entries from the JSON-LD blocks of a page.
+ * Blocks that are not valid JSON are skipped.
+ * @param {import('cheerio').CheerioAPI} $ - The loaded page
+ * @param {string} baseUrl - The URL relative URLs are resolved against
+ * @returns {Array<Object>} The entries, reduced to the fields used in previews
+ */
+function extractJsonLd($, baseUrl) {
+  const entries = [];
+
+  $('script[type="application/ld+json"]').each((index, element) => {
+    let data;
+    try {
+      data = JSON.parse($(element).text());
+    } catch (error) {
+      return;
+    }
+
+    const nodes = toArray(data).flatMap((node) => [node, ...toArray(node?.['@graph'])]);
+    for (const node of nodes) {
+      const entry = node && typeof node === 'object' ? normalizeJsonLdNode(node, baseUrl) : null;
+      if (entry) {
+        entries.push(JSON.parse(JSON.stringify(entry)));
+      }
+    }
+  });
+
+  return entries;
+}
+
+function extractOpenGraphMetadataFromHtml(html, targetUrl, finalUrl) {
+  const $ = cheerio.load(html);
+  const baseUrl = absolutizeUrl($('base[href]').attr('href'), finalUrl || targetUrl) || finalUrl || targetUrl;
+  const metaTags = collectMetaTags($);
+  const images = collectOpenGraphMedia(metaTags, 'image', baseUrl);
+  const videos = collectOpenGraphMedia(metaTags, 'video', baseUrl);
+  const audios = collectOpenGraphMedia(metaTags, 'audio', baseUrl);
+  const twitter = collectTwitterCard(metaTags, baseUrl);
+  const jsonLd = extractJsonLd($, baseUrl);
+  const jsonLdArticle = jsonLd.find((entry) => jsonLdArticleTypes.has(entry.type));
+  const jsonLdMain = jsonLdArticle || jsonLd[0] || {};
+
+  const metadata = {
+    title: getMetaContent(metaTags, 'og:title'),
+    description: getMetaContent(metaTags, 'og:description'),
+    url: absolutizeUrl(getMetaContent(metaTags, 'og:url'), baseUrl) || finalUrl || targetUrl,
+    image: images[0]?.url,
+    imageWidth: images[0]?.width,
+    imageHeight: images[0]?.height,
+    images,
+    siteName: getMetaContent(metaTags, 'og:site_name', 'application-name', 'apple-mobile-web-app-title') || jsonLdArticle?.publisher,
+    type: getMetaContent(metaTags, 'og:type'),
+    locale: getMetaContent(metaTags, 'og:locale'),
+    video: videos[0]?.url,
+    videos,
+    audio: audios[0]?.url,
+    audios,
+    twitter,
+    favicon: findIcon($, ['icon'], baseUrl) || absolutizeUrl('/favicon.ico', finalUrl || targetUrl),
+    appleTouchIcon: findIcon($, ['apple-touch-icon', 'apple-touch-icon-precomposed'], baseUrl),
+    themeColor: getMetaContent(metaTags, 'theme-color', 'msapplication-tilecolor'),
+    publishedTime: getMetaContent(metaTags, 'article:published_time', 'datepublished', 'date') || jsonLdArticle?.datePublished,
+    modifiedTime: getMetaContent(metaTags, 'article:modified_time', 'og:updated_time', 'datemodified') || jsonLdArticle?.dateModified,
+    author: getMetaContent(metaTags, 'author', 'article:author') || jsonLdArticle?.author || twitter?.creator,
+    jsonLd,
+  };
+
+  if (!metadata.title) metadata.title = twitter?.title || normalizeWhitespace($('title').first().text()) || jsonLdMain.headline || jsonLdMain.name;
+  if (!metadata.description) metadata.description = getMetaContent(metaTags, 'description') || twitter?.description || jsonLdMain.description;
+  if (!metadata.image) metadata.image = twitter?.image || jsonLdMain.image || jsonLdMain.thumbnailUrl;
+
+  // Drop empty fields so responses only list what the page provides
+  return Object.fromEntries(Object.entries(metadata).filter(([key, value]) => (
+    key === 'title' || key === 'url' || (value !== undefined && value !== '' && !(Array.isArray(value) && !value.length))
+  )));
+}
+
 function normalizeWhitespace(value) {
   if (typeof value !== 'string') {
     return '';
@@ -347,6 +782,20 @@ function normalizeWhitespace(value) {
     .trim();
 }
 
+// normalizeWhitespace for Markdown documents, leaving the indentation inside fenced code blocks alone
+function normalizeMarkdownWhitespace(markdown) {
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of markdown.matchAll(/^(`{3,})[^\n]*\n[\s\S]*?\n\1$/gm)) {
+    parts.push(normalizeWhitespace(markdown.slice(lastIndex, match.index)), match[0]);
+    lastIndex = match.index + match[0].length;
+  }
+
+  parts.push(normalizeWhitespace(markdown.slice(lastIndex)));
+  return parts.filter(Boolean).join('\n\n');
+}
+
 function escapeMarkdownText(value) {
   return normalizeWhitespace(value).replace(/\\/g, '\\\\').replace(/([`*_\[\]<>])/g, '\\$1');
 }
@@ -363,38 +812,6 @@ function absolutizeUrl(url, baseUrl) {
   }
 }
 
-function selectReadableContentRoot($) {
-  const candidates = [
-    'article',
-    'main',
-    '[role="main"]',
-    '.article-content',
-    '.article-body',
-    '.entry-content',
-    '.post-content',
-    '.content',
-    '#content',
-    '.main-content',
-    '.markdown-body',
-    'body',
-  ];
-
-  let bestNode = $('body').first();
-  let bestScore = 0;
-
-  for (const selector of candidates) {
-    $(selector).each((_, element) => {
-      const textLength = normalizeWhitespace($(element).text()).length;
-      if (textLength > bestScore) {
-        bestScore = textLength;
-        bestNode = $(element);
-      }
-    });
-  }
-
-  return bestNode;
-}
-
 function renderInlineMarkdown($, nodes, baseUrl) {
   const parts = [];
 
@@ -405,9 +822,8 @@ function renderInlineMarkdown($, nodes, baseUrl) {
 
     if (node.type === 'text') {
       const text = node.data.replace(/\s+/g, ' ');
-      if (text.trim()) {
-        parts.push(escapeMarkdownText(text));
-      }
+      // Keep the spaces separating the text from neighbouring inline elements
+      parts.push(text.trim() ? text.replace(text.trim(), () => escapeMarkdownText(text)) : text);
       continue;
     }
 
@@ -430,6 +846,23 @@ function renderInlineMarkdown($, nodes, baseUrl) {
       continue;
     }
 
+    if (tagName === 'del' || tagName === 's' || tagName === 'strike') {
+      const text = renderInlineMarkdown($, $(node).contents().toArray(), baseUrl);
+      if (text) {
+        parts.push(`~~${text}~~`);
+      }
+      continue;
+    }
+
+    // Markdown has no superscript or subscript syntax, the HTML tags are understood by GFM renderers
+    if (tagName === 'sup' || tagName === 'sub') {
+      const text = renderInlineMarkdown($, $(node).contents().toArray(), baseUrl);
+      if (text) {
+        parts.push(`<${tagName}>${text}</${tagName}>`);
+      }
+      continue;
+    }
+
     if (tagName === 'a') {
       const href = absolutizeUrl($(node).attr('href'), baseUrl);
       const label = renderInlineMarkdown($, $(node).contents().toArray(), baseUrl) || escapeMarkdownText($(node).text()) || href;
@@ -468,7 +901,7 @@ function renderInlineMarkdown($, nodes, baseUrl) {
     }
   }
 
-  return parts.join('').replace(/[ \t]{2,}/g, ' ').trim();
+  return parts.join('').replace(/[ \t]{2,}/g, ' ').replace(/ +\n/g, '  \n').trim();
 }
 
 function renderListMarkdown($, listNode, baseUrl, depth = 0) {
@@ -501,43 +934,164 @@ function renderListMarkdown($, listNode, baseUrl, depth = 0) {
   return lines.join('\n').trim();
 }
 
-function renderBlockMarkdown($, nodes, baseUrl, depth = 0) {
-  const blocks = [];
+function getCodeLanguage($, preNode) {
+  const codeNode = $(preNode).children('code').first();
+  const classNames = `${$(preNode).attr('class') || ''} ${codeNode.attr('class') || ''}`;
+  const classMatch = classNames.match(/(?:^|\s)(?:language|lang|highlight-source|brush:?)-?([\w+#.-]+)/i);
+  const language = $(preNode).attr('data-lang') || codeNode.attr('data-lang') || classMatch?.[1] || '';
 
-  for (const node of nodes) {
-    if (!node) {
-      continue;
-    }
+  return /^[\w+#.-]+$/.test(language) && !['none', 'plaintext', 'text'].includes(language.toLowerCase()) ? language.toLowerCase() : '';
+}
 
-    if (node.type === 'text') {
-      const text = normalizeWhitespace(node.data);
-      if (text) {
-        blocks.push(escapeMarkdownText(text));
+function renderCodeBlockMarkdown($, preNode) {
+  // Keep the indentation of the first line, only blank lines around the code are dropped
+  const code = $(preNode).text().replace(/\r/g, '').replace(/^\n+|\s+$/g, '');
+  if (!code.trim()) {
+    return '';
+  }
+
+  const longestBacktickRun = Math.max(0, ...(code.match(/`+/g) || []).map((run) => run.length));
+  const fence = '`'.repeat(Math.max(3, longestBacktickRun + 1));
+  return `${fence}${getCodeLanguage($, preNode)}\n${code}\n${fence}`;
+}
+
+function renderTableCellMarkdown($, cellNode, baseUrl) {
+  const cell = $(cellNode).clone();
+  cell.find('br').replaceWith(' ');
+  // Paragraphs and list items inside a cell stay apart, a GFM cell holds a single line
+  cell.find('p, li, div').after(' ');
+
+  return renderInlineMarkdown($, cell.contents().toArray(), baseUrl).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|');
+}
+
+/**
+ * Render a table as a GFM table. Cells spanning several columns or rows are followed by empty
+ * cells so every row keeps the column count. Layout tables (nested tables, a single column)
+ * are rendered as their content instead.
+ */
+function renderTableMarkdown($, tableNode, baseUrl, depth) {
+  const $table = $(tableNode);
+  const rows = $table.find('tr').toArray().filter((rowNode) => $(rowNode).closest('table')[0] === tableNode);
+  const columnCount = Math.max(0, ...rows.map((rowNode) => $(rowNode).children('th, td').toArray()
+    .reduce((count, cellNode) => count + (Number.parseInt($(cellNode).attr('colspan'), 10) || 1), 0)));
+
+  if (!rows.length || columnCount < 2 || $table.find('table').length || $table.attr('role') === 'presentation') {
+    return renderBlockMarkdown($, $table.find('td, th').toArray().filter((cellNode) => $(cellNode).closest('table')[0] === tableNode)
+      .flatMap((cellNode) => $(cellNode).contents().toArray()), baseUrl, depth);
+  }
+
+  const grid = rows.map(() => []);
+  rows.forEach((rowNode, rowIndex) => {
+    let columnIndex = 0;
+
+    for (const cellNode of $(rowNode).children('th, td').toArray()) {
+      while (grid[rowIndex][columnIndex] !== undefined) {
+        columnIndex++;
       }
-      continue;
-    }
 
-    if (node.type !== 'tag') {
-      continue;
+      const colspan = Math.min(Number.parseInt($(cellNode).attr('colspan'), 10) || 1, columnCount);
+      const rowspan = Math.min(Number.parseInt($(cellNode).attr('rowspan'), 10) || 1, rows.length - rowIndex);
+      const text = renderTableCellMarkdown($, cellNode, baseUrl);
+
+      for (let rowOffset = 0; rowOffset < rowspan; rowOffset++) {
+        for (let columnOffset = 0; columnOffset < colspan; columnOffset++) {
+          grid[rowIndex + rowOffset][columnIndex + columnOffset] = rowOffset === 0 && columnOffset === 0 ? text : '';
+        }
+      }
+
+      columnIndex += colspan;
     }
+  });
 
-    const tagName = node.name.toLowerCase();
+  const renderRow = (cells) => `| ${Array.from({ length: columnCount }, (_, index) => cells[index] || '').join(' | ')} |`;
+  const [headerRow, ...bodyRows] = grid;
+  const lines = [
+    renderRow(headerRow),
+    renderRow(Array(columnCount).fill('---')),
+    ...bodyRows.filter((cells) => cells.some(Boolean)).map(renderRow),
+  ];
 
-    if (['script', 'style', 'noscript', 'iframe', 'svg', 'canvas', 'form'].includes(tagName)) {
+  const caption = renderInlineMarkdown($, $table.children('caption').contents().toArray(), baseUrl);
+  return caption ? `_${caption}_\n\n${lines.join('\n')}` : lines.join('\n');
+}
+
+// Definition lists have no GFM syntax, terms are rendered bold with their definitions after a colon
+function renderDefinitionListMarkdown($, listNode, baseUrl) {
+  const lines = [];
+
+  for (const itemNode of $(listNode).find('dt, dd').toArray()) {
+    if ($(itemNode).closest('dl')[0] !== listNode) {
       continue;
     }
 
-    if (/^h[1-6]$/.test(tagName)) {
-      const level = Number.parseInt(tagName[1], 10);
-      const headingText = renderInlineMarkdown($, $(node).contents().toArray(), baseUrl);
-      if (headingText) {
-        blocks.push(`${'#'.repeat(level)} ${headingText}`);
-      }
+    const text = renderInlineMarkdown($, $(itemNode).contents().toArray(), baseUrl);
+    if (!text) {
       continue;
     }
 
-    if (tagName === 'p') {
-      const paragraph = renderInlineMarkdown($, $(node).contents().toArray(), baseUrl);
+    if (itemNode.name.toLowerCase() === 'dt') {
+      // A blank line separates the entries, consecutive terms share their definitions
+      lines.push(`${lines.at(-1)?.startsWith(':') ? '\n' : ''}**${text}**`);
+    } else {
+      lines.push(`: ${text}`);
+    }
+  }
+
+  return lines.join('\n').trim();
+}
+
+function renderFigureMarkdown($, figureNode, baseUrl, depth) {
+  const figure = $(figureNode).clone();
+  const captionNode = figure.children('figcaption').first();
+  const caption = renderInlineMarkdown($, captionNode.contents().toArray(), baseUrl);
+  figure.children('figcaption').remove();
+
+  // Images without alt text are described by the caption
+  if (caption) {
+    figure.find('img:not([alt]), img[alt=""]').attr('alt', normalizeWhitespace(captionNode.text()));
+  }
+
+  const content = renderBlockMarkdown($, figure.contents().toArray(), baseUrl, depth);
+  return [content, caption ? `_${caption}_` : ''].filter(Boolean).join('\n');
+}
+
+function renderBlockMarkdown($, nodes, baseUrl, depth = 0) {
+  const blocks = [];
+
+  for (const node of nodes) {
+    if (!node) {
+      continue;
+    }
+
+    if (node.type === 'text') {
+      const text = normalizeWhitespace(node.data);
+      if (text) {
+        blocks.push(escapeMarkdownText(text));
+      }
+      continue;
+    }
+
+    if (node.type !== 'tag') {
+      continue;
+    }
+
+    const tagName = node.name.toLowerCase();
+
+    if (['script', 'style', 'noscript', 'iframe', 'svg', 'canvas', 'form'].includes(tagName)) {
+      continue;
+    }
+
+    if (/^h[1-6]$/.test(tagName)) {
+      const level = Number.parseInt(tagName[1], 10);
+      const headingText = renderInlineMarkdown($, $(node).contents().toArray(), baseUrl);
+      if (headingText) {
+        blocks.push(`${'#'.repeat(level)} ${headingText}`);
+      }
+      continue;
+    }
+
+    if (tagName === 'p') {
+      const paragraph = renderInlineMarkdown($, $(node).contents().toArray(), baseUrl);
       if (paragraph) {
         blocks.push(paragraph);
       }
@@ -545,9 +1099,33 @@ function renderBlockMarkdown($, nodes, baseUrl, depth = 0) {
     }
 
     if (tagName === 'pre') {
-      const code = $(node).text().replace(/\r/g, '').trim();
-      if (code) {
-        blocks.push(`\`\`\`\n${code}\n\`\`\``);
+      const codeBlock = renderCodeBlockMarkdown($, node);
+      if (codeBlock) {
+        blocks.push(codeBlock);
+      }
+      continue;
+    }
+
+    if (tagName === 'table') {
+      const tableMarkdown = renderTableMarkdown($, node, baseUrl, depth);
+      if (tableMarkdown) {
+        blocks.push(tableMarkdown);
+      }
+      continue;
+    }
+
+    if (tagName === 'figure') {
+      const figureMarkdown = renderFigureMarkdown($, node, baseUrl, depth);
+      if (figureMarkdown) {
+        blocks.push(figureMarkdown);
+      }
+      continue;
+    }
+
+    if (tagName === 'dl') {
+      const definitionListMarkdown = renderDefinitionListMarkdown($, node, baseUrl);
+      if (definitionListMarkdown) {
+        blocks.push(definitionListMarkdown);
       }
       continue;
     }
@@ -611,85 +1189,352 @@ function extractReadableMarkdown(html, baseUrl) {
   }
 
   const $content = cheerio.load(`<div id="content-root">${contentHtml}</div>`);
-  $content('script, style, noscript, iframe, svg, canvas, form, nav, footer, header, aside').remove();
-  $content('[aria-hidden="true"], [hidden]').remove();
+  removeBoilerplate($content, $content('#content-root'));
 
   const markdown = renderBlockMarkdown($content, $content('#content-root').contents().toArray(), baseUrl);
-  return normalizeWhitespace(markdown);
+  return normalizeMarkdownWhitespace(markdown);
+}
+
+function extractDocumentMarkdown(documentResponse, metadata) {
+  const { previewType, mimeType } = documentResponse;
+
+  if (previewType === 'html') {
+    return extractReadableMarkdown(documentResponse.html, documentResponse.finalUrl);
+  }
+
+  if (previewType === 'pdf') {
+    return normalizeWhitespace((documentResponse.pdf?.pages || [])
+      .map((pageText) => escapeMarkdownText(pageText.replace(/\n(?!\n)/g, ' ')))
+      .join('\n\n'));
+  }
+
+  if (previewType === 'text') {
+    if (mimeType === 'text/plain' || mimeType === 'text/markdown') {
+      return normalizeWhitespace(documentResponse.text);
+    }
+
+    const language = mimeType.includes('json') ? 'json' : mimeType.includes('xml') ? 'xml' : '';
+    return `\`\`\`\`${language}\n${documentResponse.text.trim()}\n\`\`\`\``;
+  }
+
+  if (previewType === 'image') {
+    return `![${escapeMarkdownText(metadata.title || 'Image')}](${metadata.url})`;
+  }
+
+  return '';
 }
 
+/**
+ * Collect the title, description, metadata and content of a fetched URL for /markdown
+ * @returns {import('./services/markdownFormats').MarkdownDocument} The document, rendered by renderMarkdownDocument
+ */
 function buildMarkdownDocument(metadata, contentMarkdown, targetUrl, finalUrl) {
-  const title = escapeMarkdownText(metadata.title || 'Untitled Document');
-  const description = normalizeWhitespace(metadata.description || '');
-  const metadataLines = [
-    `- Source URL: ${targetUrl}`,
-  ];
+  const entries = [];
+  const addEntry = (key, label, value, text) => {
+    entries.push({ key, label, value, ...(text === undefined ? {} : { text }) });
+  };
+
+  addEntry('sourceUrl', 'Source URL', targetUrl);
 
   if (finalUrl && finalUrl !== targetUrl) {
-    metadataLines.push(`- Final URL: ${finalUrl}`);
+    addEntry('finalUrl', 'Final URL', finalUrl);
+  }
+
+  if (metadata.redirects?.length) {
+    const redirectChain = metadata.redirects.map((redirect) => `${redirect.to} (${redirect.type})`);
+    addEntry('redirects', 'Redirects', metadata.redirects, [targetUrl, ...redirectChain].join(' → '));
   }
 
   if (metadata.url && metadata.url !== finalUrl && metadata.url !== targetUrl) {
-    metadataLines.push(`- OpenGraph URL: ${metadata.url}`);
+    addEntry('openGraphUrl', 'OpenGraph URL', metadata.url);
+  }
+
+  // An image target is its own preview image, its dimensions are listed below
+  const isImageTarget = metadata.previewType === 'image';
+
+  if (metadata.image && !isImageTarget) {
+    addEntry('image', 'OpenGraph image', metadata.image);
+  }
+
+  if ((metadata.imageWidth || metadata.imageHeight) && !isImageTarget) {
+    addEntry(
+      'imageSize',
+      'OpenGraph image size',
+      { width: metadata.imageWidth || null, height: metadata.imageHeight || null },
+      `${metadata.imageWidth || '?'} x ${metadata.imageHeight || '?'}`,
+    );
+  }
+
+  if (metadata.previewType && metadata.previewType !== 'html') {
+    addEntry('type', 'Type', { previewType: metadata.previewType, mimeType: metadata.mimeType }, `${metadata.previewType} (${metadata.mimeType})`);
+  }
+
+  if (metadata.size) {
+    addEntry('size', 'Size', metadata.size, `${metadata.size} bytes`);
+  }
+
+  if (metadata.width || metadata.height) {
+    addEntry(
+      'dimensions',
+      'Dimensions',
+      { width: metadata.width || null, height: metadata.height || null },
+      `${metadata.width || '?'} x ${metadata.height || '?'}`,
+    );
+  }
+
+  if (metadata.siteName) {
+    addEntry('siteName', 'Site', metadata.siteName, escapeMarkdownText(metadata.siteName));
+  }
+
+  if (metadata.author) {
+    addEntry('author', 'Author', metadata.author, escapeMarkdownText(metadata.author));
+  }
+
+  if (metadata.publishedTime) {
+    addEntry('publishedTime', 'Published', metadata.publishedTime);
   }
 
-  if (metadata.image) {
-    metadataLines.push(`- OpenGraph image: ${metadata.image}`);
+  if (metadata.modifiedTime) {
+    addEntry('modifiedTime', 'Modified', metadata.modifiedTime);
   }
 
-  if (metadata.imageWidth || metadata.imageHeight) {
-    metadataLines.push(`- OpenGraph image size: ${metadata.imageWidth || '?'} x ${metadata.imageHeight || '?'}`);
+  if (metadata.pageCount) {
+    addEntry('pageCount', 'Pages', metadata.pageCount);
   }
 
-  const sections = [`# ${title}`];
+  return {
+    title: normalizeWhitespace(metadata.title || '') || 'Untitled Document',
+    description: normalizeWhitespace(metadata.description || ''),
+    metadata: entries,
+    content: contentMarkdown,
+  };
+}
+
+function parseMetaRefresh(content) {
+  const refreshMatch = String(content || '').match(/^\s*(\d+(?:\.\d+)?)?\s*[;,]?\s*(?:url\s*=\s*)?(['"]?)(.*?)\2\s*$/i);
+  if (!refreshMatch || !refreshMatch[3]) {
+    return null;
+  }
+
+  return {
+    delaySeconds: Number.parseFloat(refreshMatch[1] || '0'),
+    url: refreshMatch[3].trim(),
+  };
+}
+
+// Pages that only exist to point elsewhere: no title or description and next to no visible text
+function isEmptyShellPage($) {
+  const hasMetadata = $('meta[property="og:title"], meta[property="og:description"], meta[name="description"]').length > 0
+    || normalizeWhitespace($('title').first().text()).length > 0;
+  if (hasMetadata) {
+    return false;
+  }
+
+  const $body = $('body').clone();
+  $body.find('script, style, noscript, template').remove();
+  return normalizeWhitespace($body.text()).length < 200;
+}
+
+/**
+ * Find where a page without an HTTP redirect sends its visitors: a `<meta http-equiv="refresh">`
+ * target with a short delay, or the canonical link of an empty shell page
+ * @param {string} html - The page HTML
+ * @param {string} pageUrl - The URL of the page
+ * @returns {{url: string, type: 'meta-refresh'|'canonical'}|null} The next URL, or null
+ */
+function findDocumentRedirect(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const baseUrl = absolutizeUrl($('base[href]').attr('href'), pageUrl) || pageUrl;
+
+  for (const element of $('meta[http-equiv]').toArray()) {
+    if (String($(element).attr('http-equiv')).trim().toLowerCase() !== 'refresh') {
+      continue;
+    }
+
+    const refresh = parseMetaRefresh($(element).attr('content'));
+    const refreshUrl = refresh && normalizeTargetUrl(absolutizeUrl(refresh.url, baseUrl));
+    if (refreshUrl && refreshUrl !== pageUrl && refresh.delaySeconds <= ogMetaRefreshMaxDelaySeconds) {
+      return { url: refreshUrl, type: 'meta-refresh' };
+    }
+  }
+
+  const canonicalUrl = normalizeTargetUrl(absolutizeUrl($('link[rel="canonical"]').attr('href'), baseUrl));
+  if (canonicalUrl && canonicalUrl !== pageUrl && isEmptyShellPage($)) {
+    return { url: canonicalUrl, type: 'canonical' };
+  }
+
+  return null;
+}
+
+/**
+ * Fetch a URL and follow meta-refresh and canonical redirects of the fetched pages, up to
+ * OG_MAX_DOCUMENT_REDIRECTS hops. The response lists every hop, HTTP redirects included, in
+ * `redirects`, and every URL on the way in `cacheAliases`.
+ * @param {string} targetUrl - The URL to fetch
+ * @returns {Promise<Object>} The document of the last hop, as returned by fetchUrlDocument
+ */
+async function fetchFinalUrlDocument(targetUrl) {
+  const redirects = [];
+  const visitedUrls = new Set([targetUrl]);
+  let documentResponse = await fetchUrlDocument(targetUrl);
+
+  for (let hop = 0; documentResponse.ok; hop++) {
+    const hopUrls = [...documentResponse.httpRedirects, documentResponse.finalUrl];
+    hopUrls.slice(1).forEach((url, index) => {
+      redirects.push({ from: hopUrls[index], to: url, type: 'http' });
+    });
+    hopUrls.forEach((url) => visitedUrls.add(url));
+
+    if (documentResponse.previewType !== 'html' || hop >= ogMaxDocumentRedirects) {
+      break;
+    }
+
+    const documentRedirect = findDocumentRedirect(documentResponse.html, documentResponse.finalUrl);
+    if (!documentRedirect || visitedUrls.has(documentRedirect.url)) {
+      break;
+    }
 
-  if (description) {
-    sections.push(description);
+    console.log(`Following ${documentRedirect.type} from ${documentResponse.finalUrl} to ${documentRedirect.url}`);
+    redirects.push({ from: documentResponse.finalUrl, to: documentRedirect.url, type: documentRedirect.type });
+    visitedUrls.add(documentRedirect.url);
+    documentResponse = await fetchUrlDocument(documentRedirect.url);
   }
 
-  sections.push(`## Metadata\n${metadataLines.join('\n')}`);
+  return {
+    ...documentResponse,
+    redirects,
+    cacheAliases: [...new Set([...redirects.map(({ to }) => to), ...documentResponse.cacheAliases])],
+  };
+}
+
+function extractFinalDocumentMetadata(documentResponse, targetUrl) {
+  const metadata = extractDocumentMetadata(documentResponse, targetUrl);
 
-  if (contentMarkdown) {
-    sections.push(`## Content\n${contentMarkdown}`);
+  if (documentResponse.redirects.length) {
+    metadata.redirects = documentResponse.redirects;
   }
 
-  const markdownDocument = `${sections.filter(Boolean).join('\n\n').trim()}\n`;
-  marked.lexer(markdownDocument);
-  return markdownDocument;
+  return metadata;
 }
 
 async function fetchMarkdownDocument(targetUrl, includeContent = true) {
-  const documentResponse = await fetchUrlDocument(targetUrl);
+  const documentResponse = await fetchFinalUrlDocument(targetUrl);
   if (!documentResponse.ok) {
     return documentResponse;
   }
 
-  const metadata = extractOpenGraphMetadataFromHtml(documentResponse.html, targetUrl, documentResponse.finalUrl);
+  const metadata = extractFinalDocumentMetadata(documentResponse, targetUrl);
   const contentMarkdown = includeContent
-    ? extractReadableMarkdown(documentResponse.html, documentResponse.finalUrl)
+    ? extractDocumentMarkdown(documentResponse, metadata)
     : '';
-  const markdownDocument = buildMarkdownDocument(
-    metadata,
-    contentMarkdown,
-    targetUrl,
-    documentResponse.finalUrl,
-  );
 
   return {
     ok: true,
     status: 200,
-    body: markdownDocument,
-    cacheAliases: [documentResponse.finalUrl, metadata.url],
+    body: buildMarkdownDocument(metadata, contentMarkdown, targetUrl, documentResponse.finalUrl),
+    cacheAliases: [...documentResponse.cacheAliases, metadata.url],
+  };
+}
+
+/**
+ * Render a cached Markdown document response in the requested format, bounded to `maxChars` and
+ * split into chunks when requested
+ * @param {Object} documentResponse - The response of fetchMarkdownDocument or fetchNostrMarkdownDocument
+ * @param {Object} options
+ * @param {string} options.format - One of markdownFormats
+ * @param {number} [options.maxChars] - Maximum length of the document in characters
+ * @param {boolean} [options.chunked=false] - Return one chunk of the content
+ * @param {number} [options.cursor=1] - The chunk to return
+ * @returns {{ok: boolean, status: number, body: string|Object, contentType?: string, headers?: Object}} The response
+ */
+function renderMarkdownResponse(documentResponse, options) {
+  if (!documentResponse.ok) {
+    return documentResponse;
+  }
+
+  const { format, maxChars, chunked = false, cursor = 1 } = options;
+  let markdownDocument = documentResponse.body;
+  const headers = {};
+
+  if (maxChars || chunked) {
+    const limited = limitMarkdownDocument(markdownDocument, {
+      maxChars: maxChars || markdownChunkMaxChars,
+      chunked,
+      cursor,
+    });
+
+    if (limited.error) {
+      return { ok: false, status: 400, body: { error: limited.error } };
+    }
+
+    markdownDocument = limited.document;
+    headers['X-Markdown-Truncated'] = String(limited.truncated);
+
+    if (limited.chunk) {
+      headers['X-Markdown-Chunk'] = `${limited.chunk.index}/${limited.chunk.count}`;
+
+      if (limited.chunk.index < limited.chunk.count) {
+        headers['X-Markdown-Next-Cursor'] = String(limited.chunk.index + 1);
+      }
+    }
+  }
+
+  const rendered = renderMarkdownDocument(markdownDocument, format);
+
+  return {
+    ok: true,
+    status: 200,
+    body: rendered.body,
+    contentType: rendered.contentType,
+    headers,
   };
 }
 
+function getMarkdownRenderingKey(options) {
+  return [
+    options.format,
+    options.maxChars && `max${options.maxChars}`,
+    options.chunked && `chunk${options.cursor}`,
+  ].filter(Boolean).join('-');
+}
+
+/**
+ * Resolve a /markdown request. Every rendering (format, length limit and chunk) is cached under
+ * `${cacheKeyPrefix}:${rendering}:${cacheId}`, and rendered on a miss from the extracted document,
+ * which is cached under `${cacheKeyPrefix}:document:${cacheId}` so other renderings and the next
+ * chunk do not fetch it again.
+ * @param {string} cacheKeyPrefix - `markdown:full` or `markdown:meta`
+ * @param {string} cacheId - The URL, or `nostr:` and the entity identifier
+ * @param {Object} renderOptions - The options of renderMarkdownResponse
+ * @param {function(string): Promise<Object>} loadDocument - Fetches the document response and caches it under the given key
+ * @returns {Promise<Object>} The rendered response
+ */
+async function resolveMarkdownResponse(cacheKeyPrefix, cacheId, renderOptions, loadDocument) {
+  const renderingCacheKeyPrefix = `${cacheKeyPrefix}:${getMarkdownRenderingKey(renderOptions)}`;
+  const cachedRendering = await getCachedResponse(`${renderingCacheKeyPrefix}:${cacheId}`);
+  if (cachedRendering) {
+    return cachedRendering;
+  }
+
+  const documentCacheKey = `${cacheKeyPrefix}:document:${cacheId}`;
+  const documentResponse = await getCachedResponse(documentCacheKey)
+    || await runInFlight(documentCacheKey, () => loadDocument(documentCacheKey), () => cache.get(documentCacheKey));
+
+  const response = renderMarkdownResponse(documentResponse, renderOptions);
+  if (response.ok) {
+    await cacheOgResponse(renderingCacheKeyPrefix, cacheId, { ...response, cacheAliases: documentResponse.cacheAliases }, ogCacheTtlMs);
+  }
+
+  return response;
+}
+
 async function fetchOpenGraphMetadata(targetUrl) {
-  const documentResponse = await fetchUrlDocument(targetUrl);
+  const documentResponse = await fetchFinalUrlDocument(targetUrl);
   if (!documentResponse.ok) {
     return documentResponse;
   }
 
-  const metadata = extractOpenGraphMetadataFromHtml(documentResponse.html, targetUrl, documentResponse.finalUrl);
+  const metadata = extractFinalDocumentMetadata(documentResponse, targetUrl);
 
   return {
     ok: true,
@@ -697,24 +1542,620 @@ async function fetchOpenGraphMetadata(targetUrl) {
     body: {
       ...metadata,
     },
-    cacheAliases: [documentResponse.finalUrl, metadata.url],
+    cacheAliases: [...documentResponse.cacheAliases, metadata.url],
+  };
+}
+
+function buildEntityErrorResponse(status, message, details) {
+  const body = { error: message };
+
+  if (details) {
+    body.details = details;
+  }
+
+  return {
+    ok: false,
+    status,
+    body,
+  };
+}
+
+// Swap in a newer author profile when the profile cache has seen one since this response was cached
+async function refreshCachedAuthor(cacheKey, cachedResult) {
+  const cachedAuthor = cachedResult.author;
+  if (!cachedAuthor?.pubkey) {
+    recordCacheLookup(cacheKey, 'hit');
+    return cachedResult;
+  }
+
+  const latestAuthor = await nostrService.getCachedProfile(cachedAuthor.pubkey);
+  if (!latestAuthor || latestAuthor.created_at <= cachedAuthor.created_at) {
+    recordCacheLookup(cacheKey, 'hit');
+    return cachedResult;
+  }
+
+  recordCacheLookup(cacheKey, 'stale');
+
+  const refreshedResult = {
+    ...cachedResult,
+    author: latestAuthor,
+  };
+
+  if (cacheKey.startsWith('profile:')) {
+    refreshedResult.content = latestAuthor.profile.about || '';
+  }
+
+  // Keep the expiry of the entry, so the event or article itself is fetched again on schedule
+  const remainingTtl = await cache.getRemainingTtl(cacheKey);
+  if (remainingTtl > 0) {
+    await cache.set(cacheKey, refreshedResult, remainingTtl);
+  }
+
+  return refreshedResult;
+}
+
+function decodeEventId(eventId) {
+  // Determine if the eventId is a nevent1, note1 or hex
+  if (!(eventId.startsWith('nevent1') || eventId.startsWith('note1'))) {
+    // Assume it's a hex id
+    return { ok: true, id: eventId, relayHints: [] };
+  }
+
+  try {
+    const decoded = nip19.decode(eventId);
+    if (decoded.type !== 'note' && decoded.type !== 'nevent') {
+      return buildEntityErrorResponse(400, 'Invalid nevent format');
+    }
+
+    if (decoded.type === 'note') {
+      return { ok: true, id: decoded.data, relayHints: [] };
+    }
+
+    return {
+      ok: true,
+      id: decoded.data.id,
+      relayHints: decoded.data.relays || [],
+      authorHint: decoded.data.author,
+    };
+  } catch (error) {
+    return buildEntityErrorResponse(400, 'Invalid nevent format', error.message);
+  }
+}
+
+async function decodeProfileId(profileId) {
+  // Determine if the profileId is a NIP-05 identifier, nprofile1 or hex
+  if (profileId.includes('@')) {
+    const nip05Lookup = await nostrService.lookupNip05(profileId);
+    if (!nip05Lookup) {
+      return buildEntityErrorResponse(404, 'NIP-05 identifier not found');
+    }
+
+    return { ok: true, pubkey: nip05Lookup.pubkey, relayHints: nip05Lookup.relays };
+  }
+
+  if (!(profileId.startsWith('nprofile') || profileId.startsWith('npub'))) {
+    // Assume it's a hex pubkey
+    return { ok: true, pubkey: profileId, relayHints: [] };
+  }
+
+  try {
+    const decoded = nip19.decode(profileId);
+    if (decoded.type !== 'nprofile' && decoded.type !== 'npub') {
+      return buildEntityErrorResponse(400, 'Invalid nprofile format');
+    }
+
+    if (decoded.type === 'npub') {
+      return { ok: true, pubkey: decoded.data, relayHints: [] };
+    }
+
+    return { ok: true, pubkey: decoded.data.pubkey, relayHints: decoded.data.relays || [] };
+  } catch (error) {
+    return buildEntityErrorResponse(400, 'Invalid nprofile format', error.message);
+  }
+}
+
+async function buildEventResponse(cacheKey, event) {
+  if (!event) {
+    return buildEntityErrorResponse(404, 'Event not found');
+  }
+
+  // Cache the result for 1 hour
+  await cache.set(cacheKey, event);
+
+  return { ok: true, status: 200, body: event };
+}
+
+async function buildProfileResponse(cacheKey, author) {
+  if (!author) {
+    return buildEntityErrorResponse(404, 'Profile not found');
+  }
+
+  const profile = {
+    content: author.profile.about || '',
+    author: author,
+  };
+
+  // Cache the result for 1 hour
+  await cache.set(cacheKey, profile);
+
+  return { ok: true, status: 200, body: profile };
+}
+
+// Read a cached event, profile or article, refreshing its author when a newer profile is known
+async function getCachedEntityResponse(cacheKey) {
+  const cachedResult = await cache.get(cacheKey);
+  if (!cachedResult) {
+    recordCacheLookup(cacheKey, 'miss');
+    return null;
+  }
+
+  return refreshCachedAuthor(cacheKey, cachedResult);
+}
+
+async function readCachedEntityResponse(cacheKey) {
+  const cachedResult = await cache.get(cacheKey);
+  return cachedResult ? { ok: true, status: 200, body: cachedResult } : null;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Wait for another instance holding the lock to publish its result to the shared cache
+async function waitForSharedResult(lockKey, readCachedResult) {
+  const deadline = Date.now() + inFlightLockTtlMs;
+
+  while (Date.now() < deadline) {
+    await delay(inFlightPollIntervalMs);
+
+    const cachedResult = await readCachedResult();
+    if (cachedResult) {
+      return cachedResult;
+    }
+
+    if (await cache.get(lockKey) === null) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+async function loadWithSharedLock(cacheKey, load, readCachedResult) {
+  // A memory cache is private to this process, where inFlightRequests already deduplicates
+  if (cacheBackend === 'memory') {
+    return load();
+  }
+
+  const lockKey = `inflight:${cacheKey}`;
+  const acquired = await cache.setIfAbsent(lockKey, process.pid, inFlightLockTtlMs);
+  if (!acquired) {
+    const sharedResult = await waitForSharedResult(lockKey, readCachedResult);
+    if (sharedResult) {
+      return sharedResult;
+    }
+  }
+
+  try {
+    return await load();
+  } finally {
+    if (acquired) {
+      await cache.delete(lockKey);
+    }
+  }
+}
+
+// Share a single lookup between concurrent requests for the same cache key,
+// across instances when the cache backend is shared
+function runInFlight(cacheKey, load, readCachedResult = () => readCachedEntityResponse(cacheKey)) {
+  let requestPromise = inFlightRequests.get(cacheKey);
+  if (!requestPromise) {
+    requestPromise = loadWithSharedLock(cacheKey, load, readCachedResult)
+      .finally(() => {
+        inFlightRequests.delete(cacheKey);
+      });
+
+    inFlightRequests.set(cacheKey, requestPromise);
+  }
+
+  return requestPromise;
+}
+
+async function fetchEventResponse(eventId) {
+  // Check cache first
+  const cacheKey = `event:${eventId}`;
+  const cachedResult = await getCachedEntityResponse(cacheKey);
+  if (cachedResult) {
+    return { ok: true, status: 200, body: cachedResult };
+  }
+
+  return runInFlight(cacheKey, async () => {
+    const decoded = decodeEventId(eventId);
+    if (!decoded.ok) {
+      return decoded;
+    }
+
+    // Fetch the event using our nostrService
+    const event = await nostrService.getEvent(decoded.id, decoded.relayHints, decoded.authorHint);
+    return buildEventResponse(cacheKey, event);
+  });
+}
+
+// Root, parent and quoted events of an event, cached apart from the event itself
+async function fetchEventThreadResponse(eventId, event) {
+  const cacheKey = `thread:${eventId}`;
+  const cachedResult = await getCachedResponse(cacheKey);
+  if (cachedResult) {
+    return { ok: true, status: 200, body: cachedResult };
+  }
+
+  return runInFlight(cacheKey, async () => {
+    const decoded = decodeEventId(eventId);
+    const thread = await nostrService.getThreadContext(event, decoded.ok ? decoded.relayHints : []);
+    const { references } = thread;
+
+    // Events that were not found may still turn up on a later request
+    if ((!references.root || thread.root) && (!references.parent || thread.parent)
+      && thread.quotes.length === references.quotes.length) {
+      await cache.set(cacheKey, thread);
+    }
+
+    return { ok: true, status: 200, body: thread };
+  });
+}
+
+async function fetchProfileResponse(profileId) {
+  // Check cache first
+  const cacheKey = `profile:${profileId}`;
+  const cachedResult = await getCachedEntityResponse(cacheKey);
+  if (cachedResult) {
+    return { ok: true, status: 200, body: cachedResult };
+  }
+
+  return runInFlight(cacheKey, async () => {
+    const decoded = await decodeProfileId(profileId);
+    if (!decoded.ok) {
+      return decoded;
+    }
+
+    // Fetch the profile using our nostrService
+    const author = await nostrService.getProfile(decoded.pubkey, decoded.relayHints);
+    return buildProfileResponse(cacheKey, author);
+  });
+}
+
+async function fetchArticleResponse(addr) {
+  // Check cache first
+  const cacheKey = `article:${addr}`;
+  const cachedResult = await getCachedEntityResponse(cacheKey);
+  if (cachedResult) {
+    return { ok: true, status: 200, body: cachedResult };
+  }
+
+  if (!addr.startsWith('naddr')) {
+    return buildEntityErrorResponse(400, 'Invalid address format. Must start with naddr.');
+  }
+
+  let decoded;
+  try {
+    decoded = nip19.decode(addr);
+  } catch (error) {
+    return buildEntityErrorResponse(400, 'Invalid naddr format', error.message);
+  }
+
+  const relayHints = decoded.data.relays || [];
+
+  return runInFlight(cacheKey, async () => {
+    // Fetch the event using our nostrService
+    const event = await nostrService.getArticle(decoded.data.pubkey, decoded.data.identifier, decoded.data.kind, relayHints);
+    return buildEventResponse(cacheKey, event);
+  });
+}
+
+async function fetchProviderOpenGraphMetadata(targetUrl) {
+  const metadata = await resolveProviderMetadata(targetUrl);
+  if (!metadata) {
+    return null;
+  }
+
+  console.log(`Resolved ${targetUrl} through the ${metadata.provider} provider`);
+
+  return {
+    ok: true,
+    status: 200,
+    body: { previewType: 'html', ...metadata },
+    cacheAliases: [metadata.url],
+  };
+}
+
+async function resolveOpenGraphResponse(targetUrl) {
+  if (isIgnoredOgDomain(targetUrl)) {
+    console.log(`Ignoring OpenGraph fetch for blocked domain: ${targetUrl}`);
+    return {
+      ok: false,
+      status: 204,
+      body: null,
+    };
+  }
+
+  const cacheKey = `og:${targetUrl}`;
+
+  // Check cache first
+  const cachedResult = await getCachedResponse(cacheKey);
+  if (cachedResult) {
+    return cachedResult;
+  }
+
+  return runInFlight(cacheKey, async () => {
+    const providerResult = await fetchProviderOpenGraphMetadata(targetUrl);
+    if (providerResult) {
+      await cacheOgResponse('og', targetUrl, providerResult, ogCacheTtlMs);
+      return providerResult;
+    }
+
+    if (shouldBypassOgMetadataFetch(targetUrl)) {
+      console.log(`Bypassing OpenGraph metadata fetch for domain: ${targetUrl}`);
+      const result = buildBasicOgResponse(targetUrl);
+      // Kept briefly, so a provider that failed is tried again soon
+      await cacheOgResponse('og', targetUrl, result, ogErrorCacheTtlMs);
+      return result;
+    }
+
+    const result = await fetchOpenGraphMetadata(targetUrl);
+    const ttl = result.ok ? ogCacheTtlMs : ogErrorCacheTtlMs;
+    await cacheOgResponse('og', targetUrl, result, ttl);
+    return result;
+  }, () => cache.get(cacheKey));
+}
+
+function getBatchItemType(item) {
+  if (normalizeTargetUrl(item)) {
+    return 'url';
+  }
+
+  if (item.startsWith('nevent1') || item.startsWith('note1') || /^[0-9a-f]{64}$/i.test(item)) {
+    return 'event';
+  }
+
+  if (item.startsWith('npub1') || item.startsWith('nprofile1') || item.includes('@')) {
+    return 'profile';
+  }
+
+  if (item.startsWith('naddr1')) {
+    return 'article';
+  }
+
+  return null;
+}
+
+function toBatchResult(type, response) {
+  if (response.ok) {
+    return { type, status: response.status, data: response.body };
+  }
+
+  if (response.status === 204) {
+    return { type, status: 204, error: 'Metadata fetching is disabled for this domain' };
+  }
+
+  return { type, status: response.status, ...response.body };
+}
+
+/**
+ * Resolve a mixed list of URLs and Nostr identifiers. Cached and in-flight results are reused,
+ * uncached events and profiles are fetched with merged relay queries.
+ * @param {Array<string>} items - URLs, nevent, note, npub, nprofile, naddr, NIP-05 identifiers or hex event ids
+ * @returns {Promise<Object>} The results keyed by item
+ */
+async function fetchBatchResponse(items) {
+  const results = {};
+  const tasks = [];
+  const pendingEvents = [];
+  const pendingProfiles = [];
+
+  const track = (item, type, promise) => {
+    tasks.push(promise
+      .then((response) => {
+        results[item] = toBatchResult(type, response);
+
+        if (type === 'event' && response.status === 404 && /^[0-9a-f]{64}$/i.test(item)) {
+          results[item].suggestion = 'Bare hex ids are looked up as event ids. Send a pubkey as npub or nprofile to look up the profile.';
+        }
+      })
+      .catch((error) => {
+        console.error(`Error resolving batch item ${item}:`, error);
+        results[item] = { type, status: 500, error: 'Failed to resolve item', details: error.message };
+      }));
+  };
+
+  for (const item of new Set(items)) {
+    const type = getBatchItemType(item);
+
+    if (type === 'url') {
+      track(item, type, resolveOpenGraphResponse(normalizeTargetUrl(item)));
+      continue;
+    }
+
+    if (type === 'article') {
+      track(item, type, fetchArticleResponse(item));
+      continue;
+    }
+
+    if (type === 'event' || type === 'profile') {
+      const cacheKey = `${type}:${item}`;
+      const cachedResult = await getCachedEntityResponse(cacheKey);
+      if (cachedResult) {
+        results[item] = toBatchResult(type, { ok: true, status: 200, body: cachedResult });
+      } else if (inFlightRequests.has(cacheKey)) {
+        track(item, type, inFlightRequests.get(cacheKey));
+      } else {
+        (type === 'event' ? pendingEvents : pendingProfiles).push({ item, cacheKey });
+      }
+      continue;
+    }
+
+    results[item] = { type: null, status: 400, error: 'Unsupported identifier. Expected a URL, nevent, note, npub, nprofile, naddr, NIP-05 or hex id' };
+  }
+
+  // The pending items are decoded up front and looked up with one getEvents and one getProfiles call,
+  // started by the first item whose load runs. Every item still goes through runInFlight, so identical
+  // batches arriving together query the relays once.
+  const decodedEvents = pendingEvents.map(({ item }) => decodeEventId(item));
+  const decodedProfiles = await Promise.all(pendingProfiles.map(({ item }) => decodeProfileId(item)
+    .catch((error) => buildEntityErrorResponse(500, 'Failed to resolve item', error.message))));
+  let eventsRequest = null;
+  let profilesRequest = null;
+
+  const getGroupedEvents = () => {
+    if (!eventsRequest) {
+      eventsRequest = nostrService.getEvents(decodedEvents.filter((decoded) => decoded.ok));
+    }
+    return eventsRequest;
+  };
+  const getGroupedProfiles = () => {
+    if (!profilesRequest) {
+      profilesRequest = nostrService.getProfiles(decodedProfiles.filter((decoded) => decoded.ok));
+    }
+    return profilesRequest;
+  };
+
+  pendingEvents.forEach(({ item, cacheKey }, index) => {
+    const decoded = decodedEvents[index];
+    track(item, 'event', runInFlight(cacheKey, async () => {
+      if (!decoded.ok) {
+        return decoded;
+      }
+
+      const events = await getGroupedEvents();
+      return buildEventResponse(cacheKey, events.get(decoded.id));
+    }));
+  });
+
+  pendingProfiles.forEach(({ item, cacheKey }, index) => {
+    const decoded = decodedProfiles[index];
+    track(item, 'profile', runInFlight(cacheKey, async () => {
+      if (!decoded.ok) {
+        return decoded;
+      }
+
+      const profiles = await getGroupedProfiles();
+      return buildProfileResponse(cacheKey, profiles.get(decoded.pubkey));
+    }));
+  });
+
+  await Promise.all(tasks);
+  return results;
+}
+
+function getEntityType(entityId) {
+  if (entityId.startsWith('npub') || entityId.startsWith('nprofile') || entityId.includes('@')) {
+    return 'p';
+  }
+
+  if (entityId.startsWith('naddr')) {
+    return 'a';
+  }
+
+  return 'e';
+}
+
+async function fetchEntityResponse(entityType, entityId) {
+  if (entityType === 'p') {
+    return fetchProfileResponse(entityId);
+  }
+
+  if (entityType === 'a') {
+    return fetchArticleResponse(entityId);
+  }
+
+  return fetchEventResponse(entityId);
+}
+
+// Accept bare NIP-19 identifiers and nostr: URIs (NIP-21)
+function parseNostrEntityId(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const entityId = value.trim().replace(/^nostr:/i, '');
+  return /^(?:naddr|nevent|note|npub|nprofile)1[023456789acdefghjklmnpqrstuvwxyz]+$/.test(entityId) ? entityId : null;
+}
+
+async function fetchNostrMarkdownDocument(entityId, includeContent = true) {
+  const entityType = getEntityType(entityId);
+  const entityResponse = await fetchEntityResponse(entityType, entityId);
+  if (!entityResponse.ok) {
+    return entityResponse;
+  }
+
+  return {
+    ok: true,
+    status: 200,
+    body: buildNostrMarkdownDocument(entityType, entityId, entityResponse.body, { includeContent }),
+  };
+}
+
+async function fetchCardResponse(entityId) {
+  const entityType = getEntityType(entityId);
+  const entityResponse = await fetchEntityResponse(entityType, entityId);
+  if (!entityResponse.ok) {
+    return entityResponse;
+  }
+
+  const image = await renderEntityCard(entityType, entityResponse.body);
+
+  return {
+    ok: true,
+    status: 200,
+    body: image,
   };
 }
 
 // Clean up expired cache entries every 10 minutes
 setInterval(() => {
-  cache.cleanup();
+  Promise.all([cache.cleanup(), nostrService.cleanupCaches()]).catch((error) => {
+    console.warn('Cache cleanup failed:', error.message);
+  });
 }, 600000);
 
 // Middleware
+app.use(httpMetricsMiddleware());
 app.use(express.json());
 
 // Add CORS middleware to allow requests from any origin
-app.use(cors());
+app.use(cors({
+  // Read by browser clients paging through /markdown chunks
+  exposedHeaders: ['X-Markdown-Truncated', 'X-Markdown-Chunk', 'X-Markdown-Next-Cursor'],
+}));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.status(200).json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    caches: {
+      responses: cache.getStats(),
+      ...nostrService.getCacheStats(),
+    },
+  });
+});
+
+// Relay health endpoint
+app.get('/relays', (req, res) => {
+  res.status(200).json({
+    timestamp: new Date().toISOString(),
+    relays: nostrService.getRelayHealth(),
+  });
+});
+
+// Prometheus metrics endpoint
+app.get('/metrics', async (req, res) => {
+  try {
+    const metrics = await renderMetrics();
+    res.type(metrics.contentType).send(metrics.body);
+  } catch (error) {
+    console.error('Error rendering metrics:', error);
+    res.status(500).json({ error: 'Failed to render metrics', details: error.message });
+  }
 });
 
 // OpenGraph metadata endpoint
@@ -730,42 +2171,11 @@ app.get('/og', async (req, res) => {
       });
     }
 
-    if (isIgnoredOgDomain(targetUrl)) {
-      console.log(`Ignoring OpenGraph fetch for blocked domain: ${targetUrl}`);
+    const result = await resolveOpenGraphResponse(targetUrl);
+    if (result.status === 204) {
       return res.status(204).end();
     }
 
-    if (shouldBypassOgMetadataFetch(targetUrl)) {
-      console.log(`Bypassing OpenGraph metadata fetch for domain: ${targetUrl}`);
-      const cacheKey = `og:${targetUrl}`;
-      const result = buildBasicOgResponse(targetUrl);
-      cacheOgResponse(cacheKey, result, ogCacheTtlMs);
-      return sendOgResponse(res, result);
-    }
-
-    // Check cache first
-    const cacheKey = `og:${targetUrl}`;
-    const cachedResult = cache.get(cacheKey);
-    if (cachedResult) {
-      return sendOgResponse(res, cachedResult);
-    }
-
-    let requestPromise = inFlightRequests.get(cacheKey);
-    if (!requestPromise) {
-      requestPromise = fetchOpenGraphMetadata(targetUrl)
-        .then((result) => {
-          const ttl = result.ok ? ogCacheTtlMs : ogErrorCacheTtlMs;
-          cacheOgResponse(cacheKey, result, ttl);
-          return result;
-        })
-        .finally(() => {
-          inFlightRequests.delete(cacheKey);
-        });
-
-      inFlightRequests.set(cacheKey, requestPromise);
-    }
-
-    const result = await requestPromise;
     return sendOgResponse(res, result);
   } catch (error) {
     console.error('OpenGraph extraction error:', error);
@@ -777,11 +2187,52 @@ app.get('/og', async (req, res) => {
 app.get('/markdown', async (req, res) => {
   try {
     const targetUrl = normalizeTargetUrl(req.query.url);
+    const nostrEntityId = parseNostrEntityId(req.query.url);
     const includeContent = parseBooleanQueryParam(req.query.content, true);
+    const format = String(req.query.format || 'markdown').trim().toLowerCase();
+    const maxChars = parsePositiveIntegerQueryParam(req.query.maxChars);
+    const maxTokens = parsePositiveIntegerQueryParam(req.query.maxTokens);
+    const cursor = parsePositiveIntegerQueryParam(req.query.cursor);
+    const chunked = parseBooleanQueryParam(req.query.chunked, false) || req.query.cursor !== undefined;
+    const cacheKeyPrefix = `markdown:${includeContent ? 'full' : 'meta'}`;
+
+    if (!isMarkdownFormat(format)) {
+      return res.status(400).json({
+        error: `Invalid format. Supported formats: ${markdownFormats.join(', ')}`,
+        example: '/markdown?url=https://example.com&format=frontmatter'
+      });
+    }
+
+    if (Number.isNaN(maxChars) || Number.isNaN(maxTokens) || Number.isNaN(cursor)) {
+      return res.status(400).json({
+        error: 'maxChars, maxTokens and cursor must be positive integers',
+        example: '/markdown?url=https://example.com&maxTokens=2000&chunked=true&cursor=2'
+      });
+    }
+
+    const maxCharsLimits = [maxChars, maxTokens && maxTokens * markdownCharsPerToken].filter(Boolean);
+    const renderOptions = {
+      format,
+      maxChars: maxCharsLimits.length ? Math.min(...maxCharsLimits) : undefined,
+      chunked,
+      cursor: cursor || 1,
+    };
+
+    if (nostrEntityId) {
+      const result = await resolveMarkdownResponse(cacheKeyPrefix, `nostr:${nostrEntityId}`, renderOptions, async (documentCacheKey) => {
+        const markdownResponse = await fetchNostrMarkdownDocument(nostrEntityId, includeContent);
+        if (markdownResponse.ok) {
+          await cache.set(documentCacheKey, markdownResponse);
+        }
+        return markdownResponse;
+      });
+
+      return sendMarkdownResponse(res, result);
+    }
 
     if (!targetUrl || !(targetUrl.startsWith('http://') || targetUrl.startsWith('https://'))) {
       return res.status(400).json({
-        error: 'Invalid URL. URL must be provided as a query parameter and start with http:// or https://',
+        error: 'Invalid URL. URL must be provided as a query parameter and start with http:// or https://, or be a Nostr identifier (naddr, nevent, note, npub, nprofile or a nostr: URI)',
         example: '/markdown?url=https://example.com&content=false'
       });
     }
@@ -791,28 +2242,13 @@ app.get('/markdown', async (req, res) => {
       return res.status(204).end();
     }
 
-    const cacheKey = `markdown:${includeContent ? 'full' : 'meta'}:${targetUrl}`;
-    const cachedResult = cache.get(cacheKey);
-    if (cachedResult) {
-      return sendMarkdownResponse(res, cachedResult);
-    }
-
-    let requestPromise = inFlightRequests.get(cacheKey);
-    if (!requestPromise) {
-      requestPromise = fetchMarkdownDocument(targetUrl, includeContent)
-        .then((result) => {
-          const ttl = result.ok ? ogCacheTtlMs : ogErrorCacheTtlMs;
-          cacheOgResponse(cacheKey, result, ttl);
-          return result;
-        })
-        .finally(() => {
-          inFlightRequests.delete(cacheKey);
-        });
-
-      inFlightRequests.set(cacheKey, requestPromise);
-    }
+    const result = await resolveMarkdownResponse(cacheKeyPrefix, targetUrl, renderOptions, async () => {
+      const markdownResponse = await fetchMarkdownDocument(targetUrl, includeContent);
+      const ttl = markdownResponse.ok ? ogCacheTtlMs : ogErrorCacheTtlMs;
+      await cacheOgResponse(`${cacheKeyPrefix}:document`, targetUrl, markdownResponse, ttl);
+      return markdownResponse;
+    });
 
-    const result = await requestPromise;
     return sendMarkdownResponse(res, result);
   } catch (error) {
     console.error('Markdown extraction error:', error);
@@ -824,108 +2260,36 @@ app.get('/markdown', async (req, res) => {
 app.get('/e/:eventId', async (req, res) => {
   try {
     const { eventId } = req.params;
-    let id;
-    let relayHints = [];
-
-    // Check cache first
-    const cacheKey = `event:${eventId}`;
-    const cachedResult = cache.get(cacheKey);
-    if (cachedResult) {
-      return res.json(cachedResult);
-    }
+    const includeThread = parseBooleanQueryParam(req.query.thread, false);
+    const result = await fetchEventResponse(eventId);
 
-    // Determine if the eventId is a nevent1 or hex
-    if (eventId.startsWith('nevent1')) {
-      try {
-        const decoded = nip19.decode(eventId);
-        if (decoded.type !== 'note' && decoded.type !== 'nevent') {
-          return res.status(400).json({ error: 'Invalid nevent format' });
-        }
-
-        if (decoded.type === 'note') {
-          id = decoded.data;
-        } else {
-          id = decoded.data.id;
-          relayHints = decoded.data.relays || [];
-        }
-      } catch (error) {
-        return res.status(400).json({ error: 'Invalid nevent format', details: error.message });
-      }
-    } else {
-      // Assume it's a hex id
-      id = eventId;
+    if (!result.ok) {
+      return res.status(result.status).json(result.body);
     }
 
-    // Fetch the event using our nostrService
-    const event = await nostrService.getEvent(id, relayHints);
-
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
+    if (!includeThread) {
+      return sendEntityResponse(req, res, 'e', eventId, result.body);
     }
 
-    // Cache the result for 1 hour
-    cache.set(cacheKey, event);
-
-    res.json(event);
+    const threadResult = await fetchEventThreadResponse(eventId, result.body);
+    return sendEntityResponse(req, res, 'e', eventId, { ...result.body, thread: threadResult.body });
   } catch (error) {
     console.error('Error fetching event:', error);
     res.status(500).json({ error: 'Failed to fetch event', details: error.message });
   }
 });
 
-// Profile endpoint - Handles both nprofile1 and hex pubkeys
+// Profile endpoint - Handles nprofile1, npub, NIP-05 identifiers and hex pubkeys
 app.get('/p/:profileId', async (req, res) => {
   try {
     const { profileId } = req.params;
-    let pubkey;
-    let relayHints = [];
-
-    // Check cache first
-    const cacheKey = `profile:${profileId}`;
-    const cachedResult = cache.get(cacheKey);
-    if (cachedResult) {
-      return res.json(cachedResult);
-    }
-
-    // Determine if the profileId is a nprofile1 or hex
-    if (profileId.startsWith('nprofile') || profileId.startsWith('npub')) {
-      try {
-        const decoded = nip19.decode(profileId);
-        if (decoded.type !== 'nprofile' && decoded.type !== 'npub') {
-          return res.status(400).json({ error: 'Invalid nprofile format' });
-        }
-
-        if (decoded.type === 'npub') {
-          pubkey = decoded.data;
-        } else {
-          pubkey = decoded.data.pubkey;
-          relayHints = decoded.data.relays || [];
-        }
-      } catch (error) {
-        return res.status(400).json({ error: 'Invalid nprofile format', details: error.message });
-      }
-    }
-    else {
-      // Assume it's a hex pubkey
-      pubkey = profileId;
-    }
-
-    // Fetch the profile using our nostrService
-    const author = await nostrService.getProfile(pubkey, relayHints);
+    const result = await fetchProfileResponse(profileId);
 
-    const profile = {
-      content: author.profile.about || '',
-      author: author,
+    if (!result.ok) {
+      return res.status(result.status).json(result.body);
     }
 
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-
-    // Cache the result for 1 hour
-    cache.set(cacheKey, profile);
-
-    res.json(profile);
+    return sendEntityResponse(req, res, 'p', profileId, result.body);
   } catch (error) {
     console.error('Error fetching profile:', error);
     res.status(500).json({ error: 'Failed to fetch profile', details: error.message });
@@ -936,43 +2300,89 @@ app.get('/p/:profileId', async (req, res) => {
 app.get('/a/:addr', async (req, res) => {
   try {
     const { addr } = req.params;
-    let id;
-    let relayHints = [];
+    const result = await fetchArticleResponse(addr);
 
-    // Check cache first
-    const cacheKey = `article:${addr}`;
-    const cachedResult = cache.get(cacheKey);
-    if (cachedResult) {
-      return res.json(cachedResult);
+    if (!result.ok) {
+      return res.status(result.status).json(result.body);
     }
 
-    if (!addr.startsWith('naddr')) {
-      return res.status(400).json({ error: 'Invalid address format. Must start with naddr.' });
+    return sendEntityResponse(req, res, 'a', addr, result.body);
+  } catch (error) {
+    console.error('Error fetching event:', error);
+    res.status(500).json({ error: 'Failed to fetch event', details: error.message });
+  }
+});
+
+// Social card image endpoint - Handles nevent1, note1, npub, nprofile1, naddr1 and hex event IDs
+app.get('/card/:entity.png', async (req, res) => {
+  try {
+    const { entity } = req.params;
+
+    const cacheKey = `card:${entity}`;
+    const cachedResult = await getCachedResponse(cacheKey);
+    if (cachedResult) {
+      return sendCardResponse(res, cachedResult);
     }
 
-    const decoded = nip19.decode(addr);
-    relayHints = decoded.data.relays || [];
+    const result = await runInFlight(cacheKey, async () => {
+      const cardResponse = await fetchCardResponse(entity);
+      if (cardResponse.ok) {
+        await cache.set(cacheKey, cardResponse, cardCacheTtlMs);
+      }
+      return cardResponse;
+    }, () => cache.get(cacheKey));
 
-    // Determine if the eventId is a nevent1 or hex
-    // Fetch the event using our nostrService
-    const event = await nostrService.getArticle(decoded.data.pubkey, decoded.data.identifier, decoded.data.kind, relayHints);
+    return sendCardResponse(res, result);
+  } catch (error) {
+    console.error('Error rendering card:', error);
+    res.status(500).json({ error: 'Failed to render card', details: error.message });
+  }
+});
+
+// Batch endpoint - Resolves many URLs and Nostr identifiers in one request
+app.post('/batch', async (req, res) => {
+  try {
+    const items = Array.isArray(req.body) ? req.body : req.body?.items;
 
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
+    if (!Array.isArray(items) || !items.length || items.some((item) => typeof item !== 'string' || !item.trim())) {
+      return res.status(400).json({
+        error: 'Invalid batch. Provide a non-empty "items" array of URLs or Nostr identifiers',
+        example: { items: ['https://example.com', 'npub1...', 'nevent1...', 'naddr1...'] }
+      });
     }
 
-    // Cache the result for 1 hour
-    cache.set(cacheKey, event);
+    if (items.length > batchMaxItems) {
+      return res.status(400).json({ error: `Too many items. A batch may contain at most ${batchMaxItems} items` });
+    }
 
-    return res.json(event);
+    const results = await fetchBatchResponse(items.map((item) => item.trim()));
+    return res.json({ results });
   } catch (error) {
-    console.error('Error fetching event:', error);
-    res.status(500).json({ error: 'Failed to fetch event', details: error.message });
+    console.error('Batch resolution error:', error);
+    res.status(500).json({ error: 'Failed to resolve batch', details: error.message });
   }
 });
 
 // Start the server
-app.listen(port, () => {
+const server = app.listen(port, () => {
   console.log(`Nostria Metadata API running on port ${port}`);
   nostrService.initialize();
 });
+
+// Let open requests finish, then close the shared cache connection before exiting
+function shutdown(signal) {
+  console.log(`Received ${signal}, shutting down`);
+  setTimeout(() => process.exit(1), 10000).unref();
+
+  server.close(async () => {
+    try {
+      await closeCacheStores();
+    } catch (error) {
+      console.error('Error closing cache stores:', error);
+    }
+    process.exit(0);
+  });
+}
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
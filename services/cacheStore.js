@@ -0,0 +1,415 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const cacheBackends = ['memory', 'file', 'redis'];
+const requestedCacheBackend = (process.env.CACHE_BACKEND || 'memory').trim().toLowerCase();
+if (!cacheBackends.includes(requestedCacheBackend)) {
+  console.warn(`Unknown CACHE_BACKEND "${requestedCacheBackend}", falling back to memory`);
+}
+const cacheBackend = cacheBackends.includes(requestedCacheBackend) ? requestedCacheBackend : 'memory';
+const cacheDirectory = process.env.CACHE_DIR || path.join(process.cwd(), '.cache', 'nostria-metadata');
+const redisUrl = process.env.CACHE_REDIS_URL || process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+const redisKeyPrefix = process.env.CACHE_KEY_PREFIX || 'nostria-metadata:';
+
+let redisClient = null;
+
+// Buffers (card images) are stored as base64 under this tag, so the persistent backends give back a
+// Buffer while cached JSON that happens to look like `{type: 'Buffer', data}` stays a plain object
+const bufferTag = '$cacheBuffer';
+
+function serializeCacheEntry(entry) {
+  return JSON.stringify(entry, function (key, value) {
+    // JSON.stringify has already called Buffer#toJSON on `value`, the holder still has the Buffer
+    const original = this[key];
+    return Buffer.isBuffer(original) ? { [bufferTag]: original.toString('base64') } : value;
+  });
+}
+
+function deserializeCacheEntry(text) {
+  return JSON.parse(text, (key, value) => {
+    if (value && typeof value[bufferTag] === 'string' && Object.keys(value).length === 1) {
+      return Buffer.from(value[bufferTag], 'base64');
+    }
+    return value;
+  });
+}
+
+function estimateCacheValueSize(value) {
+  if (Buffer.isBuffer(value)) {
+    return value.length;
+  }
+
+  if (typeof value === 'string') {
+    return Buffer.byteLength(value);
+  }
+
+  let binaryBytes = 0;
+  try {
+    const json = JSON.stringify(value, (key, entry) => {
+      if (entry && entry.type === 'Buffer' && Array.isArray(entry.data)) {
+        binaryBytes += entry.data.length;
+        return null;
+      }
+      return entry;
+    });
+    return Buffer.byteLength(json || '') + binaryBytes;
+  } catch (error) {
+    return 0;
+  }
+}
+
+// In-memory cache with TTL, bounded by entry count and approximate byte size with least-recently-used eviction
+class MemoryCache {
+  constructor(options = {}) {
+    this.cache = new Map();
+    this.maxEntries = options.maxEntries || 0;
+    this.maxBytes = options.maxBytes || 0;
+    this.bytes = 0;
+    this.evictions = 0;
+    this.expirations = 0;
+  }
+
+  async set(key, value, ttl = 3600000) { // Default TTL: 1 hour (3600000ms)
+    const expiresAt = Date.now() + ttl;
+    const size = estimateCacheValueSize(value) + Buffer.byteLength(key);
+
+    this.remove(key);
+
+    if (this.maxBytes && size > this.maxBytes) {
+      // Larger than the whole cache, storing it would only flush everything else
+      this.evictions += 1;
+      return;
+    }
+
+    this.cache.set(key, { value, expiresAt, size });
+    this.bytes += size;
+    this.evict();
+  }
+
+  async setIfAbsent(key, value, ttl) {
+    if (await this.get(key) !== null) {
+      return false;
+    }
+
+    await this.set(key, value, ttl);
+    return true;
+  }
+
+  async get(key) {
+    const cached = this.cache.get(key);
+    if (!cached) return null;
+
+    if (Date.now() > cached.expiresAt) {
+      this.remove(key);
+      this.expirations += 1;
+      return null;
+    }
+
+    // Move the entry to the most recently used end
+    this.cache.delete(key);
+    this.cache.set(key, cached);
+    return cached.value;
+  }
+
+  // Time in milliseconds until the entry expires, 0 when it is missing or expired
+  async getRemainingTtl(key) {
+    const cached = this.cache.get(key);
+    return cached ? Math.max(0, cached.expiresAt - Date.now()) : 0;
+  }
+
+  async delete(key) {
+    this.remove(key);
+  }
+
+  async clear() {
+    this.cache.clear();
+    this.bytes = 0;
+  }
+
+  remove(key) {
+    const cached = this.cache.get(key);
+    if (cached) {
+      this.cache.delete(key);
+      this.bytes -= cached.size;
+    }
+  }
+
+  // Drop least recently used entries until the cache is within its limits
+  evict() {
+    for (const key of this.cache.keys()) {
+      const overEntries = this.maxEntries && this.cache.size > this.maxEntries;
+      const overBytes = this.maxBytes && this.bytes > this.maxBytes;
+      if (!overEntries && !overBytes) {
+        break;
+      }
+
+      this.remove(key);
+      this.evictions += 1;
+    }
+  }
+
+  // Clean up expired entries
+  async cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.cache.entries()) {
+      if (now > entry.expiresAt) {
+        this.remove(key);
+        this.expirations += 1;
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      backend: 'memory',
+      entries: this.cache.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries || null,
+      maxBytes: this.maxBytes || null,
+      evictions: this.evictions,
+      expirations: this.expirations,
+    };
+  }
+}
+
+// Filesystem cache with TTL, one JSON file per key
+class FileCache {
+  constructor(namespace) {
+    this.directory = path.join(cacheDirectory, namespace);
+    this.ready = fs.mkdir(this.directory, { recursive: true });
+  }
+
+  getFilePath(key) {
+    const fileName = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.directory, `${fileName}.json`);
+  }
+
+  async readEntry(filePath) {
+    try {
+      return deserializeCacheEntry(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not read cache file ${filePath}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async set(key, value, ttl = 3600000) {
+    const expiresAt = Date.now() + ttl;
+    const filePath = this.getFilePath(key);
+    const temporaryPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+
+    try {
+      await this.ready;
+      await fs.writeFile(temporaryPath, serializeCacheEntry({ key, value, expiresAt }));
+      await fs.rename(temporaryPath, filePath);
+    } catch (error) {
+      console.warn(`Could not write cache entry ${key}:`, error.message);
+      await fs.rm(temporaryPath, { force: true });
+    }
+  }
+
+  async setIfAbsent(key, value, ttl) {
+    if (await this.get(key) !== null) {
+      return false;
+    }
+
+    const filePath = this.getFilePath(key);
+    const expiresAt = Date.now() + ttl;
+
+    try {
+      await this.ready;
+      // An expired entry may still be on disk, get() above has removed it
+      await fs.writeFile(filePath, serializeCacheEntry({ key, value, expiresAt }), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        console.warn(`Could not write cache entry ${key}:`, error.message);
+      }
+      return false;
+    }
+  }
+
+  async get(key) {
+    await this.ready;
+    const filePath = this.getFilePath(key);
+    const cached = await this.readEntry(filePath);
+    if (!cached || cached.key !== key) return null;
+
+    if (Date.now() > cached.expiresAt) {
+      await fs.rm(filePath, { force: true });
+      return null;
+    }
+
+    return cached.value;
+  }
+
+  async getRemainingTtl(key) {
+    await this.ready;
+    const cached = await this.readEntry(this.getFilePath(key));
+    return cached && cached.key === key ? Math.max(0, cached.expiresAt - Date.now()) : 0;
+  }
+
+  async delete(key) {
+    await fs.rm(this.getFilePath(key), { force: true });
+  }
+
+  async clear() {
+    await fs.rm(this.directory, { recursive: true, force: true });
+    this.ready = fs.mkdir(this.directory, { recursive: true });
+    await this.ready;
+  }
+
+  getStats() {
+    return {
+      backend: 'file',
+      directory: this.directory,
+    };
+  }
+
+  // Clean up expired entries
+  async cleanup() {
+    await this.ready;
+    const now = Date.now();
+    const fileNames = await fs.readdir(this.directory);
+
+    for (const fileName of fileNames) {
+      if (!fileName.endsWith('.json')) {
+        continue;
+      }
+
+      const filePath = path.join(this.directory, fileName);
+      const cached = await this.readEntry(filePath);
+      if (cached && now > cached.expiresAt) {
+        await fs.rm(filePath, { force: true });
+      }
+    }
+  }
+}
+
+// Cache with TTL on any server speaking the Redis protocol (Redis, Valkey, KeyDB, Dragonfly)
+class RedisCache {
+  constructor(namespace) {
+    this.prefix = `${redisKeyPrefix}${namespace}:`;
+    this.client = getRedisClient();
+  }
+
+  async set(key, value, ttl = 3600000) {
+    try {
+      await this.client.set(`${this.prefix}${key}`, serializeCacheEntry({ value }), 'PX', Math.max(1, Math.round(ttl)));
+    } catch (error) {
+      console.warn(`Could not write cache entry ${key}:`, error.message);
+    }
+  }
+
+  async setIfAbsent(key, value, ttl) {
+    try {
+      const result = await this.client.set(`${this.prefix}${key}`, serializeCacheEntry({ value }), 'PX', Math.max(1, Math.round(ttl)), 'NX');
+      return result === 'OK';
+    } catch (error) {
+      console.warn(`Could not write cache entry ${key}:`, error.message);
+      return false;
+    }
+  }
+
+  async get(key) {
+    try {
+      const cached = await this.client.get(`${this.prefix}${key}`);
+      return cached === null ? null : deserializeCacheEntry(cached).value;
+    } catch (error) {
+      console.warn(`Could not read cache entry ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  async getRemainingTtl(key) {
+    try {
+      // -2 for a missing key, -1 for a key without expiry (never written by set)
+      return Math.max(0, await this.client.pttl(`${this.prefix}${key}`));
+    } catch (error) {
+      console.warn(`Could not read the TTL of cache entry ${key}:`, error.message);
+      return 0;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await this.client.del(`${this.prefix}${key}`);
+    } catch (error) {
+      console.warn(`Could not delete cache entry ${key}:`, error.message);
+    }
+  }
+
+  async clear() {
+    let cursor = '0';
+    do {
+      const [nextCursor, keys] = await this.client.scan(cursor, 'MATCH', `${this.prefix}*`, 'COUNT', 500);
+      if (keys.length) {
+        await this.client.del(...keys);
+      }
+      cursor = nextCursor;
+    } while (cursor !== '0');
+  }
+
+  // Expiry is handled by the server
+  async cleanup() {}
+
+  getStats() {
+    return {
+      backend: 'redis',
+      prefix: this.prefix,
+    };
+  }
+}
+
+function getRedisClient() {
+  if (!redisClient) {
+    const Redis = require('ioredis');
+    redisClient = new Redis(redisUrl, {
+      lazyConnect: false,
+      maxRetriesPerRequest: 1,
+    });
+    redisClient.on('error', (error) => {
+      console.error('Redis cache error:', error.message);
+    });
+  }
+
+  return redisClient;
+}
+
+/**
+ * Create a cache for the backend selected by CACHE_BACKEND (memory, file or redis).
+ * All backends share the same async interface: get, set, setIfAbsent, getRemainingTtl, delete, clear, cleanup and getStats.
+ * @param {string} namespace - Keeps the keys of different caches apart in shared backends
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries] - Maximum number of entries kept by the memory backend (0 for no limit)
+ * @param {number} [options.maxBytes] - Maximum approximate size in bytes kept by the memory backend (0 for no limit)
+ * @returns {MemoryCache|FileCache|RedisCache} The cache
+ */
+function createCacheStore(namespace, options = {}) {
+  if (cacheBackend === 'file') {
+    return new FileCache(namespace);
+  }
+
+  if (cacheBackend === 'redis') {
+    return new RedisCache(namespace);
+  }
+
+  return new MemoryCache(options);
+}
+
+async function closeCacheStores() {
+  if (redisClient) {
+    await redisClient.quit();
+    redisClient = null;
+  }
+}
+
+module.exports = {
+  MemoryCache,
+  cacheBackend,
+  closeCacheStores,
+  createCacheStore,
+};
@@ -0,0 +1,242 @@
+const { Resvg } = require('@resvg/resvg-js');
+const { getImageDimensions } = require('./mediaInspector');
+const { outboundGet } = require('./outboundHttp');
+
+const cardWidth = 1200;
+const cardHeight = 630;
+const cardFontFamily = process.env.CARD_FONT_FAMILY || 'DejaVu Sans, Noto Sans, Liberation Sans, Arial, sans-serif';
+const cardFontFiles = (process.env.CARD_FONT_FILES || '')
+  .split(',')
+  .map((file) => file.trim())
+  .filter(Boolean);
+const cardBrandLabel = process.env.CARD_BRAND_LABEL || 'nostria.app';
+const cardImageTimeoutMs = Number.parseInt(process.env.CARD_IMAGE_TIMEOUT_MS || '3000', 10);
+const cardImageMaxBytes = Number.parseInt(process.env.CARD_IMAGE_MAX_BYTES || '2097152', 10);
+// A small compressed file can still decode to a huge bitmap, so larger images are left out of the card
+const cardImageMaxPixels = 4096 * 4096;
+const supportedImageTypes = new Set(['image/png', 'image/jpeg', 'image/gif', 'image/webp']);
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function getTagValue(event, tagName) {
+  const tag = (event?.tags || []).find((entry) => entry[0] === tagName && entry[1]);
+  return tag ? tag[1] : undefined;
+}
+
+function cleanCardText(value) {
+  return String(value || '')
+    .replace(/https?:\/\/\S+\.(?:png|jpe?g|gif|webp|avif|mp4|webm|mov)(?:\?\S*)?/gi, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Wrap text into lines of an approximate character width, ending with an ellipsis when it does not fit
+ * @param {string} text - The text to wrap
+ * @param {number} maxCharsPerLine - Approximate number of characters per line
+ * @param {number} maxLines - Maximum number of lines
+ * @returns {Array<string>} The wrapped lines
+ */
+function wrapText(text, maxCharsPerLine, maxLines) {
+  const words = cleanCardText(text).split(' ').filter(Boolean);
+  const lines = [];
+  let currentLine = '';
+  let truncated = false;
+
+  for (let index = 0; index < words.length; index++) {
+    let word = words[index];
+
+    while (word.length > maxCharsPerLine) {
+      if (currentLine) {
+        lines.push(currentLine);
+        currentLine = '';
+      }
+      lines.push(word.slice(0, maxCharsPerLine));
+      word = word.slice(maxCharsPerLine);
+    }
+
+    const candidate = currentLine ? `${currentLine} ${word}` : word;
+    if (candidate.length > maxCharsPerLine) {
+      lines.push(currentLine);
+      currentLine = word;
+    } else {
+      currentLine = candidate;
+    }
+
+    if (lines.length >= maxLines) {
+      truncated = true;
+      break;
+    }
+  }
+
+  if (currentLine && lines.length < maxLines) {
+    lines.push(currentLine);
+  }
+
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    truncated = true;
+  }
+
+  if (truncated && lines.length) {
+    const lastLine = lines[lines.length - 1];
+    lines[lines.length - 1] = `${lastLine.slice(0, Math.max(0, maxCharsPerLine - 1)).trimEnd()}…`;
+  }
+
+  return lines;
+}
+
+async function fetchImageDataUri(imageUrl) {
+  if (!imageUrl || !/^https?:\/\//i.test(imageUrl)) {
+    return null;
+  }
+
+  try {
+    const response = await outboundGet(imageUrl, {
+      responseType: 'arraybuffer',
+      timeout: cardImageTimeoutMs,
+      maxContentLength: cardImageMaxBytes,
+      maxRedirects: 5,
+    });
+
+    const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!supportedImageTypes.has(contentType)) {
+      return null;
+    }
+
+    const imageData = Buffer.from(response.data);
+    const { width, height } = getImageDimensions(imageData);
+    if (!width || !height || width * height > cardImageMaxPixels) {
+      console.warn(`Skipping card image ${imageUrl}: ${width && height ? `${width}x${height} pixels is too large` : 'unknown dimensions'}`);
+      return null;
+    }
+
+    return `data:${contentType};base64,${imageData.toString('base64')}`;
+  } catch (error) {
+    console.warn(`Could not fetch card image ${imageUrl}:`, error.message);
+    return null;
+  }
+}
+
+function getAuthorDetails(author) {
+  const profile = author?.profile || {};
+
+  return {
+    name: profile.display_name || profile.displayName || profile.name || 'Anonymous',
+    nip05: author?.nip05?.verified ? author.nip05.identifier.replace(/^_@/, '') : '',
+    picture: profile.picture,
+  };
+}
+
+function buildCardContent(entityType, data) {
+  if (entityType === 'p') {
+    return {
+      author: getAuthorDetails(data.author),
+      title: null,
+      body: data.author?.profile?.about || data.content,
+    };
+  }
+
+  if (entityType === 'a') {
+    return {
+      author: getAuthorDetails(data.author),
+      title: getTagValue(data, 'title') || 'Untitled article',
+      body: getTagValue(data, 'summary') || data.content,
+    };
+  }
+
+  return {
+    author: getAuthorDetails(data.author),
+    title: null,
+    body: data.renderedContent || data.content,
+  };
+}
+
+function renderTextLines(lines, x, y, fontSize, lineHeight, attributes) {
+  return lines
+    .map((line, index) => `<text x="${x}" y="${y + index * lineHeight}" font-size="${fontSize}" ${attributes}>${escapeXml(line)}</text>`)
+    .join('\n');
+}
+
+function buildCardSvg(content, avatarDataUri) {
+  const elements = [];
+  const avatarSize = 120;
+  const avatarX = 80;
+  const avatarY = 70;
+  const textX = avatarX + avatarSize + 32;
+
+  if (avatarDataUri) {
+    elements.push(`<image href="${avatarDataUri}" x="${avatarX}" y="${avatarY}" width="${avatarSize}" height="${avatarSize}" preserveAspectRatio="xMidYMid slice" clip-path="url(#avatar-clip)"/>`);
+  } else {
+    elements.push(`<circle cx="${avatarX + avatarSize / 2}" cy="${avatarY + avatarSize / 2}" r="${avatarSize / 2}" fill="#7c3aed"/>`);
+    elements.push(`<text x="${avatarX + avatarSize / 2}" y="${avatarY + avatarSize / 2 + 20}" font-size="56" font-weight="bold" fill="#ffffff" text-anchor="middle">${escapeXml(content.author.name.charAt(0).toUpperCase())}</text>`);
+  }
+
+  elements.push(renderTextLines(wrapText(content.author.name, 36, 1), textX, content.author.nip05 ? 122 : 142, 44, 0, 'font-weight="bold" fill="#ffffff"'));
+
+  if (content.author.nip05) {
+    elements.push(renderTextLines(wrapText(`✓ ${content.author.nip05}`, 48, 1), textX, 170, 28, 0, 'fill="#c4b5fd"'));
+  }
+
+  let bodyY = 290;
+  let bodyLines = 6;
+
+  if (content.title) {
+    const titleLines = wrapText(content.title, 36, 2);
+    elements.push(renderTextLines(titleLines, avatarX, 290, 52, 64, 'font-weight="bold" fill="#ffffff"'));
+    bodyY = 290 + titleLines.length * 64 + 12;
+    bodyLines = 4 - titleLines.length + 1;
+  }
+
+  elements.push(renderTextLines(wrapText(content.body, 58, bodyLines), avatarX, bodyY, 32, 44, 'fill="#e9e5f5"'));
+  elements.push(`<text x="${avatarX}" y="${cardHeight - 48}" font-size="26" font-weight="bold" fill="#a78bfa">${escapeXml(cardBrandLabel)}</text>`);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${cardWidth}" height="${cardHeight}" viewBox="0 0 ${cardWidth} ${cardHeight}" font-family="${escapeXml(cardFontFamily)}">
+<defs>
+<linearGradient id="card-background" x1="0" y1="0" x2="1" y2="1">
+<stop offset="0%" stop-color="#140b2e"/>
+<stop offset="100%" stop-color="#3b1d6e"/>
+</linearGradient>
+<clipPath id="avatar-clip">
+<circle cx="${avatarX + avatarSize / 2}" cy="${avatarY + avatarSize / 2}" r="${avatarSize / 2}"/>
+</clipPath>
+</defs>
+<rect width="${cardWidth}" height="${cardHeight}" fill="url(#card-background)"/>
+<rect x="0" y="${cardHeight - 12}" width="${cardWidth}" height="12" fill="#7c3aed"/>
+${elements.join('\n')}
+</svg>`;
+}
+
+/**
+ * Render a social card PNG for a Nostr entity
+ * @param {'e'|'p'|'a'} entityType - The route prefix of the entity
+ * @param {Object} data - The JSON response of the matching endpoint
+ * @returns {Promise<Buffer>} The PNG image
+ */
+async function renderEntityCard(entityType, data) {
+  const content = buildCardContent(entityType, data);
+  const avatarDataUri = await fetchImageDataUri(content.author.picture);
+  const svg = buildCardSvg(content, avatarDataUri);
+
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'width', value: cardWidth },
+    font: {
+      loadSystemFonts: true,
+      fontFiles: cardFontFiles,
+      defaultFontFamily: cardFontFamily.split(',')[0].trim(),
+    },
+  });
+
+  return resvg.render().asPng();
+}
+
+module.exports = {
+  renderEntityCard,
+};
@@ -0,0 +1,534 @@
+const cheerio = require('cheerio');
+const { marked } = require('marked');
+
+const markdownContentType = 'text/markdown; charset=utf-8';
+const formatContentTypes = {
+  markdown: markdownContentType,
+  frontmatter: markdownContentType,
+  json: 'application/json; charset=utf-8',
+  text: 'text/plain; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+};
+const markdownFormats = Object.keys(formatContentTypes);
+
+// Tags kept by the HTML sanitizer, with the attributes they may carry. Others are unwrapped,
+// and the tags in droppedHtmlTags are removed together with their content.
+const allowedHtmlTags = {
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  code: ['class'],
+  ol: ['start'],
+  td: ['colspan', 'rowspan', 'align'],
+  th: ['colspan', 'rowspan', 'align'],
+  ...Object.fromEntries([
+    'abbr', 'b', 'blockquote', 'br', 'dd', 'del', 'dl', 'dt', 'em', 'figcaption', 'figure', 'h1', 'h2', 'h3',
+    'h4', 'h5', 'h6', 'hr', 'i', 'li', 'p', 'pre', 's', 'strong', 'sub', 'sup', 'table', 'tbody', 'tfoot',
+    'thead', 'tr', 'ul',
+  ].map((tagName) => [tagName, []])),
+};
+const droppedHtmlTags = 'script, style, iframe, object, embed, form, template, noscript, svg, math, textarea, select, button, head, title, meta, link, base';
+const urlAttributes = new Set(['href', 'src']);
+
+/**
+ * A document rendered by /markdown, independent of the output format
+ * @typedef {Object} MarkdownDocument
+ * @property {string} title - The title, as plain text
+ * @property {string} [description] - The description, as Markdown
+ * @property {Array<{key: string, label: string, value: *, text?: string}>} metadata - Metadata entries.
+ *   `value` is the machine-readable value, `text` how it is written in the Markdown list (defaults to `value`).
+ * @property {string} [content] - The content, as Markdown
+ */
+
+function escapeMarkdownText(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim().replace(/\\/g, '\\\\').replace(/([`*_\[\]<>])/g, '\\$1');
+}
+
+function getMetadataObject(document) {
+  return Object.fromEntries(document.metadata.map((entry) => [entry.key, entry.value]));
+}
+
+function renderMarkdown(document) {
+  const sections = [`# ${escapeMarkdownText(document.title)}`];
+
+  if (document.description) {
+    sections.push(document.description);
+  }
+
+  const metadataLines = document.metadata.map((entry) => `- ${entry.label}: ${entry.text ?? entry.value}`);
+  sections.push(`## Metadata\n${metadataLines.join('\n')}`);
+
+  if (document.content) {
+    sections.push(`## Content\n${document.content}`);
+  }
+
+  return `${sections.filter(Boolean).join('\n\n').trim()}\n`;
+}
+
+// Strings are written as double-quoted scalars, which share their escaping with JSON
+function toYaml(value, indent = '') {
+  if (Array.isArray(value)) {
+    return value.map((item) => {
+      if (item && typeof item === 'object') {
+        const [firstLine, ...lines] = toYaml(item, `${indent}  `).split('\n');
+        return [`${indent}- ${firstLine.trimStart()}`, ...lines].join('\n');
+      }
+      return `${indent}- ${JSON.stringify(item)}`;
+    }).join('\n');
+  }
+
+  return Object.entries(value)
+    .filter(([, entry]) => entry !== undefined && entry !== null && entry !== '')
+    .map(([key, entry]) => {
+      if (Array.isArray(entry) && !entry.length) {
+        return `${indent}${key}: []`;
+      }
+
+      if (entry && typeof entry === 'object') {
+        return `${indent}${key}:\n${toYaml(entry, `${indent}  `)}`;
+      }
+
+      return `${indent}${key}: ${typeof entry === 'string' ? JSON.stringify(entry) : entry}`;
+    })
+    .join('\n');
+}
+
+function renderFrontMatter(document) {
+  const frontMatter = toYaml({
+    title: document.title,
+    description: document.description,
+    ...getMetadataObject(document),
+  });
+
+  return `---\n${frontMatter}\n---\n${document.content ? `\n${document.content.trim()}\n` : ''}`;
+}
+
+function decodeHtmlEntities(text) {
+  return text.includes('&') ? cheerio.load(text, null, false).text() : text;
+}
+
+function renderInlineText(tokens = []) {
+  return tokens.map((token) => {
+    if (token.type === 'br') {
+      return '\n';
+    }
+
+    if (token.type === 'html') {
+      return '';
+    }
+
+    if (token.type === 'image') {
+      return token.text;
+    }
+
+    if (token.type === 'codespan' || token.type === 'escape') {
+      return decodeHtmlEntities(token.text);
+    }
+
+    return token.tokens ? renderInlineText(token.tokens) : decodeHtmlEntities(token.text || '');
+  }).join('');
+}
+
+function renderBlockText(token) {
+  switch (token.type) {
+    case 'code':
+      return token.text;
+    case 'list':
+      return token.items
+        .map((item, index) => `${token.ordered ? `${(Number(token.start) || 1) + index}.` : '-'} ${renderBlocksText(item.tokens)}`)
+        .join('\n');
+    case 'table':
+      return [token.header, ...token.rows].map((row) => row.map((cell) => renderInlineText(cell.tokens)).join('\t')).join('\n');
+    case 'blockquote':
+      return renderBlocksText(token.tokens);
+    case 'html': {
+      const $ = cheerio.load(token.text, null, false);
+      $(droppedHtmlTags).remove();
+      return $.text().trim();
+    }
+    case 'hr':
+    case 'space':
+      return '';
+    default:
+      return token.tokens ? renderInlineText(token.tokens) : decodeHtmlEntities(token.text || '');
+  }
+}
+
+function renderBlocksText(tokens) {
+  return tokens.map(renderBlockText).filter((text) => text.trim()).join('\n\n');
+}
+
+function renderText(document) {
+  const sections = [document.title];
+
+  if (document.description) {
+    sections.push(renderBlocksText(marked.lexer(document.description)));
+  }
+
+  sections.push(document.metadata
+    .map((entry) => `${entry.label}: ${renderInlineText(marked.Lexer.lexInline(String(entry.text ?? entry.value)))}`)
+    .join('\n'));
+
+  if (document.content) {
+    sections.push(renderBlocksText(marked.lexer(document.content)));
+  }
+
+  return `${sections.filter(Boolean).join('\n\n')}\n`;
+}
+
+// A block of the content, with its Markdown source and the fields that describe its structure
+function toJsonBlock(token) {
+  const block = { type: token.type, markdown: token.raw.trim() };
+
+  switch (token.type) {
+    case 'heading':
+      return { ...block, level: token.depth, text: renderInlineText(token.tokens) };
+    case 'paragraph': {
+      const [onlyToken] = token.tokens.filter((inlineToken) => inlineToken.type !== 'text' || inlineToken.text.trim());
+      if (token.tokens.length <= 2 && onlyToken?.type === 'image') {
+        return { ...block, type: 'image', url: onlyToken.href, alt: onlyToken.text, title: onlyToken.title || undefined };
+      }
+      return { ...block, text: renderInlineText(token.tokens) };
+    }
+    case 'code':
+      return { ...block, language: token.lang || undefined, code: token.text };
+    case 'list':
+      return { ...block, ordered: token.ordered, items: token.items.map((item) => item.text) };
+    case 'table':
+      return {
+        ...block,
+        header: token.header.map((cell) => cell.text),
+        rows: token.rows.map((row) => row.map((cell) => cell.text)),
+      };
+    case 'blockquote':
+      return { ...block, text: renderBlocksText(token.tokens) };
+    default:
+      return block;
+  }
+}
+
+function renderJson(document) {
+  return JSON.stringify({
+    title: document.title,
+    description: document.description || undefined,
+    metadata: getMetadataObject(document),
+    blocks: document.content
+      ? marked.lexer(document.content).filter((token) => token.type !== 'space').map(toJsonBlock)
+      : [],
+  });
+}
+
+// Relative URLs and http(s) or mailto links. Browsers ignore control characters and whitespace
+// inside the scheme, so they are removed before it is read.
+function isAllowedUrl(url) {
+  const schemeMatch = url.replace(/[\u0000-\u0020\u007f-\u009f]/g, '').match(/^([a-z][a-z\d+.-]*):/i);
+  return !schemeMatch || ['http', 'https', 'mailto'].includes(schemeMatch[1].toLowerCase());
+}
+
+/**
+ * Reduce HTML to the tags and attributes a rendered document needs: no scripts, styles, event
+ * handlers, embedded frames or javascript: URLs
+ * @param {string} html - The HTML to sanitize
+ * @returns {string} The sanitized HTML
+ */
+function sanitizeHtml(html) {
+  const $ = cheerio.load(html, null, false);
+  $(droppedHtmlTags).remove();
+
+  $('*').toArray().reverse().forEach((element) => {
+    const tagName = element.name.toLowerCase();
+    const allowedAttributes = allowedHtmlTags[tagName];
+
+    if (!allowedAttributes) {
+      $(element).replaceWith($(element).contents());
+      return;
+    }
+
+    for (const attribute of Object.keys(element.attribs)) {
+      const value = element.attribs[attribute];
+      const allowed = allowedAttributes.includes(attribute)
+        && (!urlAttributes.has(attribute) || isAllowedUrl(value))
+        && (attribute !== 'class' || /^language-[\w+#.-]+$/.test(value));
+
+      if (!allowed) {
+        $(element).removeAttr(attribute);
+      }
+    }
+
+    if (tagName === 'a' && $(element).attr('href')) {
+      $(element).attr('rel', 'nofollow noopener noreferrer');
+    }
+  });
+
+  return $.html();
+}
+
+function renderHtml(document) {
+  return sanitizeHtml(marked.parse(renderMarkdown(document)));
+}
+
+// Split code at line breaks, keeping the indentation; only lines longer than maxChars are cut
+function splitCodeLines(code, maxChars) {
+  const parts = [];
+  let current = null;
+
+  for (const line of code.split('\n')) {
+    const lineParts = line.length > maxChars ? line.match(new RegExp(`[^]{1,${maxChars}}`, 'g')) : [line];
+
+    for (const linePart of lineParts) {
+      if (current !== null && current.length + 1 + linePart.length <= maxChars) {
+        current = `${current}\n${linePart}`;
+        continue;
+      }
+
+      if (current !== null) {
+        parts.push(current);
+      }
+      current = linePart;
+    }
+  }
+
+  if (current !== null) {
+    parts.push(current);
+  }
+
+  return parts;
+}
+
+// Split an oversized block at line breaks, or at spaces for a single long line, so no part exceeds
+// maxChars. Fenced code is split between lines and every part is fenced again.
+function splitOversizedBlock(block, maxChars) {
+  const fenceMatch = block.match(/^(`{3,}|~{3,})[^\n]*\n([\s\S]*?)\n?\1[`~]*$/);
+  if (fenceMatch) {
+    const openingLine = block.slice(0, block.indexOf('\n'));
+    const fence = fenceMatch[1];
+    const codeMaxChars = Math.max(1, maxChars - openingLine.length - fence.length - 2);
+    return splitCodeLines(fenceMatch[2], codeMaxChars).map((code) => `${openingLine}\n${code}\n${fence}`);
+  }
+
+  const parts = [];
+  let remaining = block;
+
+  while (remaining.length > maxChars) {
+    const window = remaining.slice(0, maxChars + 1);
+    const breakIndex = Math.max(window.lastIndexOf('\n'), window.lastIndexOf(' '));
+    const cutIndex = breakIndex > maxChars / 2 ? breakIndex : maxChars;
+    parts.push(remaining.slice(0, cutIndex).trimEnd());
+    remaining = remaining.slice(cutIndex).trimStart();
+  }
+
+  if (remaining) {
+    parts.push(remaining);
+  }
+
+  return parts;
+}
+
+function getContentBlocks(content) {
+  return marked.lexer(content)
+    .filter((token) => token.type !== 'space')
+    .map((token) => ({ heading: token.type === 'heading', markdown: token.raw.trim() }))
+    .filter((block) => block.markdown);
+}
+
+// Fill chunks with whole sections (a heading and the blocks up to the next heading) where they fit,
+// else with whole blocks, and only split blocks that are larger than a chunk on their own
+function splitContentIntoChunks(content, maxChars) {
+  const chunks = [];
+  let current = '';
+
+  // The heading of a section goes in front of its first block, and of the first part when the block is split
+  const append = (markdown, heading = '') => {
+    const block = heading ? `${heading}\n\n${markdown}` : markdown;
+    const joined = current ? `${current}\n\n${block}` : block;
+    if (joined.length <= maxChars) {
+      current = joined;
+      return;
+    }
+
+    if (current) {
+      chunks.push(current);
+    }
+
+    let parts = [block];
+    if (block.length > maxChars) {
+      parts = splitOversizedBlock(markdown, heading ? Math.max(Math.floor(maxChars / 2), maxChars - heading.length - 2) : maxChars);
+      parts[0] = heading ? `${heading}\n\n${parts[0]}` : parts[0];
+    }
+
+    chunks.push(...parts.slice(0, -1));
+    current = parts.at(-1);
+  };
+
+  const sections = [];
+  for (const block of getContentBlocks(content)) {
+    if (block.heading || !sections.length) {
+      sections.push([]);
+    }
+    sections.at(-1).push(block.markdown);
+  }
+
+  for (const section of sections) {
+    const sectionMarkdown = section.join('\n\n');
+    const joined = current ? `${current}\n\n${sectionMarkdown}` : sectionMarkdown;
+
+    if (joined.length <= maxChars) {
+      current = joined;
+    } else if (sectionMarkdown.length <= maxChars) {
+      // Start the section in a new chunk rather than splitting it
+      chunks.push(current);
+      current = sectionMarkdown;
+    } else {
+      // The section starts a new chunk, its heading staying with the first block
+      const [first, ...rest] = section;
+      const heading = rest.length && getContentBlocks(first)[0]?.heading ? first : '';
+      const blocks = heading ? rest : section;
+
+      if (current) {
+        chunks.push(current);
+        current = '';
+      }
+      blocks.forEach((markdown, index) => append(markdown, index === 0 ? heading : ''));
+    }
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+// Appended where content was cut off
+const truncationMarker = '…';
+
+// Fill whole blocks up to maxChars, then as much of the next block as fits, cut at a word (or in code,
+// a line) boundary and followed by the truncation marker
+function truncateContent(content, maxChars) {
+  let truncated = '';
+
+  for (const { markdown } of getContentBlocks(content)) {
+    const separator = truncated ? '\n\n' : '';
+    if (truncated.length + separator.length + markdown.length <= maxChars) {
+      truncated = `${truncated}${separator}${markdown}`;
+      continue;
+    }
+
+    const isCode = /^(`{3,}|~{3,})/.test(markdown);
+    const marker = isCode ? `\n\n${truncationMarker}` : ` ${truncationMarker}`;
+    const partMaxChars = maxChars - truncated.length - separator.length - marker.length;
+
+    // Not worth starting a block with less room than a short sentence
+    if (partMaxChars >= 40) {
+      truncated = `${truncated}${separator}${splitOversizedBlock(markdown, partMaxChars)[0]}${marker}`;
+    } else {
+      truncated = `${truncated}${separator}${truncationMarker}`;
+    }
+
+    return { content: truncated, truncated: true };
+  }
+
+  return { content: truncated, truncated: false };
+}
+
+function getTruncatedEntry(truncated, shownChars, totalChars) {
+  return {
+    key: 'truncated',
+    label: 'Truncated',
+    value: truncated,
+    text: truncated ? `yes, ${shownChars} of ${totalChars} characters of content shown` : 'no',
+  };
+}
+
+/**
+ * Bound the length of a document. With `maxChars` alone the content is filled with whole blocks up to
+ * the limit and the next block is cut at a word boundary, in chunked mode it is split at headings
+ * into chunks of at most `maxChars` and the chunk numbered `cursor` is returned. The title and
+ * metadata are counted against the limit.
+ * @param {MarkdownDocument} document - The document
+ * @param {Object} options
+ * @param {number} [options.maxChars] - Maximum length of the Markdown document in characters
+ * @param {boolean} [options.chunked=false] - Split the content into chunks
+ * @param {number} [options.cursor=1] - Number of the chunk to return in chunked mode
+ * @param {number} [options.minContentChars=200] - Content length allowed however long the metadata is
+ * @returns {{document: MarkdownDocument, truncated: boolean, chunk: {index: number, count: number}|null}|{error: string}}
+ *   The limited document with `truncated` and `chunk` entries added to its metadata, or an error for a cursor out of range
+ */
+function limitMarkdownDocument(document, options) {
+  const { maxChars, chunked = false, cursor = 1, minContentChars = 200 } = options;
+  const content = document.content || '';
+
+  if (!chunked) {
+    // Measured with the longest text the truncated entry can get, so the Markdown stays within maxChars
+    const longestMetadata = [...document.metadata, getTruncatedEntry(true, content.length, content.length)];
+    const overhead = renderMarkdown({ ...document, metadata: longestMetadata, content: 'x' }).length - 1;
+    const limited = truncateContent(content, Math.max(minContentChars, maxChars - overhead));
+
+    return {
+      document: {
+        ...document,
+        metadata: [...document.metadata, getTruncatedEntry(limited.truncated, limited.content.length, content.length)],
+        content: limited.content,
+      },
+      truncated: limited.truncated,
+      chunk: null,
+    };
+  }
+
+  const overhead = renderMarkdown({ ...document, content: '' }).length + '## Content\n\n'.length + 100;
+  const contentMaxChars = Math.max(minContentChars, maxChars - overhead);
+  const chunks = content ? splitContentIntoChunks(content, contentMaxChars) : [''];
+
+  if (cursor < 1 || cursor > chunks.length) {
+    return { error: `Cursor out of range, the document has ${chunks.length} chunk${chunks.length === 1 ? '' : 's'}` };
+  }
+
+  const truncated = cursor < chunks.length;
+  const metadata = [
+    ...document.metadata,
+    { key: 'chunk', label: 'Chunk', value: { index: cursor, count: chunks.length }, text: `${cursor} of ${chunks.length}` },
+  ];
+
+  if (truncated) {
+    metadata.push({ key: 'nextCursor', label: 'Next cursor', value: String(cursor + 1) });
+  }
+
+  metadata.push(getTruncatedEntry(truncated, chunks[cursor - 1].length, content.length));
+
+  return {
+    document: { ...document, metadata, content: chunks[cursor - 1] },
+    truncated,
+    chunk: { index: cursor, count: chunks.length },
+  };
+}
+
+const formatRenderers = {
+  markdown: renderMarkdown,
+  frontmatter: renderFrontMatter,
+  json: renderJson,
+  text: renderText,
+  html: renderHtml,
+};
+
+/**
+ * Render a document in one of the /markdown output formats
+ * @param {MarkdownDocument} document - The document
+ * @param {'markdown'|'frontmatter'|'json'|'text'|'html'} [format='markdown'] - The output format
+ * @returns {{contentType: string, body: string}} The rendered document
+ */
+function renderMarkdownDocument(document, format = 'markdown') {
+  return {
+    contentType: formatContentTypes[format],
+    body: formatRenderers[format](document),
+  };
+}
+
+function isMarkdownFormat(format) {
+  return markdownFormats.includes(format);
+}
+
+module.exports = {
+  isMarkdownFormat,
+  limitMarkdownDocument,
+  markdownFormats,
+  renderMarkdownDocument,
+};
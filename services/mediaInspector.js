@@ -0,0 +1,215 @@
+const { imageSize } = require('image-size');
+const { PDFParse } = require('pdf-parse');
+
+const htmlMimeTypes = new Set(['text/html', 'application/xhtml+xml']);
+const textMimeTypes = new Set(['application/json', 'application/xml', 'text/xml', 'application/rss+xml', 'application/atom+xml']);
+const ambiguousMimeTypes = new Set(['', 'application/octet-stream', 'binary/octet-stream', 'application/unknown']);
+
+// Leading bytes of the formats we can describe, used when the server does not send a usable Content-Type
+const magicNumbers = [
+  { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], offset: 8, extra: [0x57, 0x45, 0x42, 0x50] },
+  { mimeType: 'audio/wav', bytes: [0x52, 0x49, 0x46, 0x46], offset: 8, extra: [0x57, 0x41, 0x56, 0x45] },
+  { mimeType: 'video/mp4', bytes: [0x66, 0x74, 0x79, 0x70], at: 4 },
+  { mimeType: 'video/webm', bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { mimeType: 'audio/ogg', bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { mimeType: 'audio/mpeg', bytes: [0x49, 0x44, 0x33] },
+  { mimeType: 'audio/flac', bytes: [0x66, 0x4c, 0x61, 0x43] },
+];
+
+function getMimeType(contentType) {
+  return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+function getCharset(contentType) {
+  const charsetMatch = String(contentType || '').match(/;\s*charset\s*=\s*["']?([^"';\s]+)/i);
+  return charsetMatch ? charsetMatch[1] : null;
+}
+
+// <meta charset> or <meta http-equiv="Content-Type" content="...; charset=...">, looked for in the
+// start of the document like browsers do
+function getHtmlMetaCharset(buffer) {
+  const start = buffer.subarray(0, 4096).toString('latin1');
+
+  for (const metaTag of start.match(/<meta\b[^>]*>/gi) || []) {
+    const charsetMatch = metaTag.match(/\bcharset\s*=\s*["']?([\w.:-]+)/i);
+    if (charsetMatch) {
+      return charsetMatch[1];
+    }
+  }
+
+  return null;
+}
+
+function getBomCharset(buffer) {
+  if (startsWithBytes(buffer, [0xef, 0xbb, 0xbf])) {
+    return 'utf-8';
+  }
+
+  if (startsWithBytes(buffer, [0xfe, 0xff])) {
+    return 'utf-16be';
+  }
+
+  if (startsWithBytes(buffer, [0xff, 0xfe])) {
+    return 'utf-16le';
+  }
+
+  return null;
+}
+
+function createTextDecoder(charset) {
+  try {
+    return charset ? new TextDecoder(charset.trim().toLowerCase()) : null;
+  } catch (error) {
+    // Not an encoding label TextDecoder knows
+    return null;
+  }
+}
+
+/**
+ * Decode an HTML or text body using the charset of the Content-Type header, then the charset
+ * declared in a `<meta>` tag (HTML only), then the byte order mark, falling back to UTF-8
+ * @param {Buffer} buffer - The complete body
+ * @param {string} contentType - The Content-Type response header
+ * @param {'html'|'text'} previewType - The preview type of the body
+ * @returns {string} The decoded body
+ */
+function decodeTextBody(buffer, contentType, previewType) {
+  const charsetCandidates = [
+    getCharset(contentType),
+    previewType === 'html' ? getHtmlMetaCharset(buffer) : null,
+    getBomCharset(buffer),
+  ];
+
+  for (const charset of charsetCandidates) {
+    const decoder = createTextDecoder(charset);
+    if (decoder) {
+      return decoder.decode(buffer);
+    }
+
+    if (charset) {
+      console.warn(`Unsupported charset "${charset}", trying the next declaration`);
+    }
+  }
+
+  return new TextDecoder('utf-8').decode(buffer);
+}
+
+function isAmbiguousMimeType(mimeType) {
+  return ambiguousMimeTypes.has(mimeType);
+}
+
+function startsWithBytes(buffer, bytes, offset = 0) {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+/**
+ * Guess the mime type of a body from its first bytes
+ * @param {Buffer} buffer - The start of the body
+ * @returns {string} The detected mime type, or an empty string
+ */
+function sniffMimeType(buffer) {
+  for (const magicNumber of magicNumbers) {
+    if (!startsWithBytes(buffer, magicNumber.bytes, magicNumber.at || 0)) {
+      continue;
+    }
+
+    if (magicNumber.extra && !startsWithBytes(buffer, magicNumber.extra, magicNumber.offset)) {
+      continue;
+    }
+
+    return magicNumber.mimeType;
+  }
+
+  const start = buffer.subarray(0, 512).toString('utf8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+  if (start.startsWith('<!doctype html') || start.startsWith('<html') || start.startsWith('<head')) {
+    return 'text/html';
+  }
+
+  if (start.startsWith('<svg') || (start.startsWith('<?xml') && start.includes('<svg'))) {
+    return 'image/svg+xml';
+  }
+
+  return '';
+}
+
+/**
+ * Map a mime type to the kind of preview that can be built for it
+ * @param {string} mimeType - The mime type without parameters
+ * @returns {'html'|'text'|'image'|'audio'|'video'|'pdf'|'file'} The preview type
+ */
+function getPreviewType(mimeType) {
+  if (htmlMimeTypes.has(mimeType)) {
+    return 'html';
+  }
+
+  if (mimeType === 'application/pdf') {
+    return 'pdf';
+  }
+
+  const [topLevelType] = mimeType.split('/');
+  if (topLevelType === 'image' || topLevelType === 'audio' || topLevelType === 'video') {
+    return topLevelType;
+  }
+
+  if (topLevelType === 'text' || textMimeTypes.has(mimeType) || mimeType.endsWith('+json') || mimeType.endsWith('+xml')) {
+    return 'text';
+  }
+
+  return 'file';
+}
+
+/**
+ * Read the dimensions of an image. The buffer may hold only the start of the file.
+ * @param {Buffer} buffer - The image bytes
+ * @returns {{width: number|null, height: number|null}} The dimensions, null when they could not be read
+ */
+function getImageDimensions(buffer) {
+  try {
+    const dimensions = imageSize(buffer);
+    const rotated = dimensions.orientation >= 5;
+
+    return {
+      width: (rotated ? dimensions.height : dimensions.width) || null,
+      height: (rotated ? dimensions.width : dimensions.height) || null,
+    };
+  } catch (error) {
+    return { width: null, height: null };
+  }
+}
+
+/**
+ * Read the document information and text of a PDF
+ * @param {Buffer} buffer - The complete PDF file
+ * @returns {Promise<{title: string|null, author: string|null, pageCount: number|null, pages: Array<string>}>} The PDF details
+ */
+async function getPdfDetails(buffer) {
+  const parser = new PDFParse({ data: buffer });
+
+  try {
+    const { total, info } = await parser.getInfo();
+    const { pages } = await parser.getText();
+
+    return {
+      title: info?.Title?.trim() || null,
+      author: info?.Author?.trim() || null,
+      pageCount: total ?? null,
+      pages: pages.map((page) => page.text.trim()),
+    };
+  } finally {
+    await parser.destroy();
+  }
+}
+
+module.exports = {
+  decodeTextBody,
+  getImageDimensions,
+  getMimeType,
+  getPdfDetails,
+  getPreviewType,
+  isAmbiguousMimeType,
+  sniffMimeType,
+};
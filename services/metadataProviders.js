@@ -0,0 +1,88 @@
+const { outboundGet } = require('./outboundHttp');
+
+// Resolver modules, each handling the URLs of the domains it lists
+const providerModules = [
+  require('./providers/youtube'),
+  require('./providers/vimeo'),
+  require('./providers/soundcloud'),
+  require('./providers/spotify'),
+  require('./providers/reddit'),
+  require('./providers/x'),
+];
+
+const enabledProviderNames = new Set((process.env.OG_PROVIDERS ?? providerModules.map((provider) => provider.name).join(','))
+  .split(',')
+  .map((name) => name.trim().toLowerCase())
+  .filter(Boolean));
+const providerTimeoutMs = Number.parseInt(process.env.OG_PROVIDER_TIMEOUT_MS || '4000', 10);
+const providerUserAgent = process.env.OG_PROVIDER_USER_AGENT || 'nostria-metadata/1.0 (+https://nostria.app)';
+
+const enabledProviders = providerModules.filter((provider) => enabledProviderNames.has(provider.name));
+
+function getProviderEndpoint(provider) {
+  return process.env[`OG_PROVIDER_${provider.name.toUpperCase()}_ENDPOINT`] || provider.endpoint;
+}
+
+async function fetchJson(url, params) {
+  const response = await outboundGet(url, {
+    params,
+    headers: {
+      'User-Agent': providerUserAgent,
+      'Accept': 'application/json',
+    },
+    timeout: providerTimeoutMs,
+    responseType: 'json',
+  });
+
+  return response.data;
+}
+
+/**
+ * Find the enabled provider handling a URL
+ * @param {string} targetUrl - The URL to preview
+ * @returns {Object|null} The provider, or null when the URL is left to the generic HTML fetch
+ */
+function findMetadataProvider(targetUrl) {
+  let hostname;
+  try {
+    hostname = new URL(targetUrl).hostname.toLowerCase().replace(/\.+$/, '');
+  } catch (error) {
+    return null;
+  }
+
+  return enabledProviders.find((provider) => provider.domains.some((domain) => (
+    hostname === domain || hostname.endsWith(`.${domain}`)
+  ))) || null;
+}
+
+/**
+ * Resolve the metadata of a URL through its site-specific provider.
+ * The result has the same fields as the metadata extracted from HTML pages, plus `provider`.
+ * @param {string} targetUrl - The URL to preview
+ * @returns {Promise<Object|null>} The metadata, or null when no provider handles the URL or the provider failed
+ */
+async function resolveProviderMetadata(targetUrl) {
+  const provider = findMetadataProvider(targetUrl);
+  if (!provider) {
+    return null;
+  }
+
+  try {
+    const metadata = await provider.resolve(targetUrl, { endpoint: getProviderEndpoint(provider), fetchJson });
+    if (!metadata) {
+      return null;
+    }
+
+    // Drop empty fields so responses only list what the provider returned
+    return Object.fromEntries(Object.entries({ ...metadata, provider: provider.name }).filter(([key, value]) => (
+      key === 'title' || key === 'url' || (value !== undefined && value !== null && value !== '')
+    )));
+  } catch (error) {
+    console.warn(`Provider ${provider.name} could not resolve ${targetUrl}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  resolveProviderMetadata,
+};
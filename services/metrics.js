@@ -0,0 +1,118 @@
+const client = require('prom-client');
+
+const metricsPrefix = process.env.METRICS_PREFIX || 'nostria_metadata_';
+const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry, prefix: metricsPrefix });
+
+const httpRequestsTotal = new client.Counter({
+  name: `${metricsPrefix}http_requests_total`,
+  help: 'HTTP requests handled, by route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry],
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: `${metricsPrefix}http_request_duration_seconds`,
+  help: 'HTTP request latency, by route',
+  labelNames: ['method', 'route'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry],
+});
+
+const cacheLookupsTotal = new client.Counter({
+  name: `${metricsPrefix}cache_lookups_total`,
+  help: 'Response cache lookups, by key prefix and result (hit, miss or stale)',
+  labelNames: ['prefix', 'result'],
+  registers: [registry],
+});
+
+const relayQueriesTotal = new client.Counter({
+  name: `${metricsPrefix}relay_queries_total`,
+  help: 'Queries sent to relays, by relay and result (events, empty, timeout, invalid or error)',
+  labelNames: ['relay', 'result'],
+  registers: [registry],
+});
+
+const relayQueryDuration = new client.Histogram({
+  name: `${metricsPrefix}relay_query_duration_seconds`,
+  help: 'Time until a relay finished answering a query',
+  labelNames: ['relay'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 1.5, 2, 3, 5],
+  registers: [registry],
+});
+
+const relayFetchesTotal = new client.Counter({
+  name: `${metricsPrefix}relay_fetches_total`,
+  help: 'Event lookups with retry, by outcome (first_try, retry or not_found)',
+  labelNames: ['outcome'],
+  registers: [registry],
+});
+
+const urlFetchesTotal = new client.Counter({
+  name: `${metricsPrefix}url_fetches_total`,
+  help: 'Outbound document fetches, by HTTP status code, or timeout and error',
+  labelNames: ['status'],
+  registers: [registry],
+});
+
+function getCacheKeyPrefix(cacheKey) {
+  const separatorIndex = cacheKey.indexOf(':');
+  return separatorIndex === -1 ? cacheKey : cacheKey.slice(0, separatorIndex);
+}
+
+/**
+ * Express middleware counting requests and their latency by matched route
+ * @returns {import('express').RequestHandler} The middleware
+ */
+function httpMetricsMiddleware() {
+  return (req, res, next) => {
+    const stopTimer = httpRequestDuration.startTimer();
+
+    res.on('finish', () => {
+      // Unmatched paths share one label so arbitrary URLs do not create new series
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+      stopTimer({ method: req.method, route });
+    });
+
+    next();
+  };
+}
+
+function recordCacheLookup(cacheKey, result) {
+  cacheLookupsTotal.inc({ prefix: getCacheKeyPrefix(cacheKey), result });
+}
+
+function recordRelayQuery(relay, result, durationMs) {
+  relayQueriesTotal.inc({ relay, result });
+  relayQueryDuration.observe({ relay }, durationMs / 1000);
+}
+
+function recordRelayFetch(outcome) {
+  relayFetchesTotal.inc({ outcome });
+}
+
+function recordUrlFetch(status) {
+  urlFetchesTotal.inc({ status: String(status) });
+}
+
+/**
+ * Render all metrics in the Prometheus text exposition format
+ * @returns {Promise<{contentType: string, body: string}>} The metrics document
+ */
+async function renderMetrics() {
+  return {
+    contentType: registry.contentType,
+    body: await registry.metrics(),
+  };
+}
+
+module.exports = {
+  httpMetricsMiddleware,
+  recordCacheLookup,
+  recordRelayFetch,
+  recordRelayQuery,
+  recordUrlFetch,
+  renderMetrics,
+};
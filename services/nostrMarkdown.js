@@ -0,0 +1,186 @@
+const { nip19 } = require('nostr-tools');
+
+const webClientUrl = (process.env.WEB_CLIENT_URL || 'https://nostria.app').replace(/\/+$/, '');
+const articleKinds = new Set([30023, 30024]);
+const kindNames = {
+  1: 'note',
+  20: 'picture',
+  30023: 'long-form article',
+  30024: 'draft article',
+};
+
+function escapeMarkdownText(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim().replace(/\\/g, '\\\\').replace(/([`*_\[\]<>])/g, '\\$1');
+}
+
+function getTagValue(event, tagName) {
+  const tag = (event?.tags || []).find((entry) => entry[0] === tagName && entry[1]);
+  return tag ? tag[1] : undefined;
+}
+
+function getHashtags(event) {
+  return [...new Set((event?.tags || []).filter((tag) => tag[0] === 't' && tag[1]).map((tag) => tag[1].toLowerCase()))];
+}
+
+function formatTimestamp(seconds) {
+  const timestamp = Number.parseInt(seconds, 10);
+  return Number.isFinite(timestamp) && timestamp > 0 ? new Date(timestamp * 1000).toISOString() : undefined;
+}
+
+function getAuthorName(author) {
+  const profile = author?.profile || {};
+  return profile.display_name || profile.displayName || profile.name || '';
+}
+
+function formatAuthor(author, pubkey) {
+  const npub = pubkey ? nip19.npubEncode(pubkey) : '';
+  const name = escapeMarkdownText(getAuthorName(author));
+  const nip05 = author?.nip05?.verified ? ` ✓ ${author.nip05.identifier.replace(/^_@/, '')}` : '';
+
+  if (!name) {
+    return npub ? `${npub}${nip05}` : '';
+  }
+
+  return npub ? `${name} (${npub})${nip05}` : `${name}${nip05}`;
+}
+
+function getSourceEntries(entityType, entityId) {
+  return [
+    { key: 'source', label: 'Source', value: `nostr:${entityId}` },
+    { key: 'webUrl', label: 'Web URL', value: `${webClientUrl}/${entityType}/${encodeURIComponent(entityId)}` },
+  ];
+}
+
+function getAuthorEntry(event) {
+  const author = formatAuthor(event.author, event.pubkey);
+  if (!author) {
+    return null;
+  }
+
+  return {
+    key: 'author',
+    label: 'Author',
+    value: {
+      name: getAuthorName(event.author) || undefined,
+      npub: nip19.npubEncode(event.pubkey),
+      nip05: event.author?.nip05?.verified ? event.author.nip05.identifier.replace(/^_@/, '') : undefined,
+    },
+    text: author,
+  };
+}
+
+function getHashtagsEntry(event) {
+  const hashtags = getHashtags(event);
+  if (!hashtags.length) {
+    return null;
+  }
+
+  return {
+    key: 'hashtags',
+    label: 'Hashtags',
+    value: hashtags,
+    text: hashtags.map((hashtag) => `#${escapeMarkdownText(hashtag)}`).join(', '),
+  };
+}
+
+function buildArticleDocument(entityType, entityId, event, includeContent) {
+  const publishedAt = formatTimestamp(getTagValue(event, 'published_at'));
+  const updatedAt = formatTimestamp(event.created_at);
+  const image = getTagValue(event, 'image');
+
+  return {
+    title: getTagValue(event, 'title') || 'Untitled Article',
+    description: escapeMarkdownText(getTagValue(event, 'summary')),
+    metadata: [
+      ...getSourceEntries(entityType, entityId),
+      { key: 'kind', label: 'Kind', value: event.kind, text: `${event.kind} (${kindNames[event.kind] || 'addressable event'})` },
+      getAuthorEntry(event),
+      publishedAt && { key: 'publishedTime', label: 'Published', value: publishedAt },
+      updatedAt && updatedAt !== publishedAt && { key: 'modifiedTime', label: 'Updated', value: updatedAt },
+      image && { key: 'image', label: 'Image', value: image },
+      getHashtagsEntry(event),
+      { key: 'eventId', label: 'Event ID', value: event.id },
+    ].filter(Boolean),
+    // The article is Markdown already
+    content: includeContent ? String(event.content || '').trim() : '',
+  };
+}
+
+function buildNoteDocument(entityType, entityId, event, includeContent) {
+  const authorName = getAuthorName(event.author);
+  const createdAt = formatTimestamp(event.created_at);
+  const kindName = kindNames[event.kind] || `kind ${event.kind} event`;
+
+  return {
+    title: authorName ? `${kindName[0].toUpperCase()}${kindName.slice(1)} by ${authorName}` : `Nostr ${kindName}`,
+    description: '',
+    metadata: [
+      ...getSourceEntries(entityType, entityId),
+      { key: 'kind', label: 'Kind', value: event.kind, text: `${event.kind}${kindNames[event.kind] ? ` (${kindNames[event.kind]})` : ''}` },
+      getAuthorEntry(event),
+      createdAt && { key: 'createdTime', label: 'Created', value: createdAt },
+      getHashtagsEntry(event),
+      { key: 'eventId', label: 'Event ID', value: event.id },
+    ].filter(Boolean),
+    // Notes are plain text, mentions are shown with the names they point to
+    content: includeContent ? String(event.renderedContent || event.content || '').trim() : '',
+  };
+}
+
+function buildProfileDocument(entityType, entityId, profileResponse) {
+  const author = profileResponse.author || {};
+  const profile = author.profile || {};
+  const name = getAuthorName(author);
+  const updatedAt = formatTimestamp(author.created_at);
+  const nip05 = author.nip05 && {
+    key: 'nip05',
+    label: 'NIP-05',
+    value: { identifier: author.nip05.identifier.replace(/^_@/, ''), verified: Boolean(author.nip05.verified) },
+    text: `${escapeMarkdownText(author.nip05.identifier.replace(/^_@/, ''))} (${author.nip05.verified ? 'verified' : 'not verified'})`,
+  };
+
+  return {
+    title: name || 'Nostr profile',
+    description: String(profile.about || '').trim(),
+    metadata: [
+      ...getSourceEntries(entityType, entityId),
+      author.pubkey && { key: 'npub', label: 'Public key', value: nip19.npubEncode(author.pubkey) },
+      profile.name && profile.name !== name && { key: 'username', label: 'Username', value: profile.name, text: escapeMarkdownText(profile.name) },
+      nip05,
+      profile.website && { key: 'website', label: 'Website', value: profile.website },
+      (profile.lud16 || profile.lud06) && { key: 'lightning', label: 'Lightning', value: profile.lud16 || profile.lud06 },
+      profile.picture && { key: 'picture', label: 'Picture', value: profile.picture },
+      profile.banner && { key: 'banner', label: 'Banner', value: profile.banner },
+      updatedAt && { key: 'modifiedTime', label: 'Updated', value: updatedAt },
+    ].filter(Boolean),
+    content: '',
+  };
+}
+
+/**
+ * Collect the document /markdown renders for a Nostr entity, in the same layout as for web pages.
+ * Articles keep their own Markdown content, notes their text.
+ * @param {'e'|'p'|'a'} entityType - The route prefix of the entity
+ * @param {string} entityId - The identifier as it was requested (naddr, nevent, note or npub)
+ * @param {Object} data - The JSON response of the matching endpoint
+ * @param {Object} [options]
+ * @param {boolean} [options.includeContent=true] - Include the content
+ * @returns {import('./markdownFormats').MarkdownDocument} The document, rendered by renderMarkdownDocument
+ */
+function buildNostrMarkdownDocument(entityType, entityId, data, options = {}) {
+  const includeContent = options.includeContent !== false;
+
+  if (entityType === 'p') {
+    return buildProfileDocument(entityType, entityId, data);
+  }
+
+  if (entityType === 'a' || articleKinds.has(data.kind)) {
+    return buildArticleDocument(entityType, entityId, data, includeContent);
+  }
+
+  return buildNoteDocument(entityType, entityId, data, includeContent);
+}
+
+module.exports = {
+  buildNostrMarkdownDocument,
+};
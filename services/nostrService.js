@@ -1,10 +1,18 @@
 const { SimplePool } = require('nostr-tools/pool');
+const { verifyEvent } = require('nostr-tools/pure');
+const { decode: decodeNip19 } = require('nostr-tools/nip19');
 const WebSocket = require('ws');
+const { MemoryCache, cacheBackend, createCacheStore } = require('./cacheStore');
+const { recordRelayFetch, recordRelayQuery } = require('./metrics');
+const { outboundGet } = require('./outboundHttp');
 const { useWebSocketImplementation } = require('nostr-tools/pool');
 
 // Configure WebSocket for Node.js environment
 useWebSocketImplementation(WebSocket);
 
+const NIP05_IDENTIFIER_REGEX = /^([a-z0-9._+-]+)@([a-z0-9.-]+\.[a-z0-9-]+)$/i;
+const NOSTR_REFERENCE_REGEX = /nostr:((?:npub|nprofile|note|nevent|naddr)1[023456789acdefghjklmnpqrstuvwxyz]+)/g;
+
 class NostrService {
   constructor() {
     this.pool = null;
@@ -39,11 +47,57 @@ class NostrService {
       ]
     );
 
+    this.discoveryRelays = this.parseRelayList(
+      process.env.DISCOVERY_RELAYS,
+      [
+        'wss://discovery.eu.nostria.app',
+        'wss://purplepag.es',
+        'wss://user.kindpag.es',
+        'wss://relay.nos.social',
+      ]
+    );
+
+    // Relay URLs that get their own metrics label; hints and outbox relays share 'other'
+    this.metricsRelays = new Set(
+      [...this.defaultEventRelays, ...this.defaultProfileRelays, ...this.discoveryRelays]
+        .map((relay) => this.normalizeRelayUrl(relay))
+        .filter(Boolean)
+    );
+
     this.timeout = Number.parseInt(process.env.RELAY_TIMEOUT || '3000', 10);
     this.profileTimeout = Number.parseInt(process.env.PROFILE_RELAY_TIMEOUT || String(this.timeout), 10);
     this.retryTimeout = Number.parseInt(process.env.RELAY_RETRY_TIMEOUT || '1800', 10);
     this.profileCacheTtlMs = Number.parseInt(process.env.PROFILE_CACHE_TTL_MS || '60000', 10);
-    this.profileCache = new Map();
+    this.profileCache = createCacheStore('profiles', {
+      maxEntries: Number.parseInt(process.env.PROFILE_CACHE_MAX_ENTRIES || '20000', 10),
+      maxBytes: Number.parseInt(process.env.PROFILE_CACHE_MAX_BYTES || '67108864', 10),
+    });
+    this.relayListTimeout = Number.parseInt(process.env.RELAY_LIST_TIMEOUT || '2000', 10);
+    this.relayListCacheTtlMs = Number.parseInt(process.env.RELAY_LIST_CACHE_TTL_MS || '600000', 10);
+    this.outboxRelayLimit = Number.parseInt(process.env.OUTBOX_RELAY_LIMIT || '4', 10);
+    this.relayListCache = new MemoryCache({
+      maxEntries: Number.parseInt(process.env.RELAY_LIST_CACHE_MAX_ENTRIES || '20000', 10),
+    });
+    this.relayListRequests = new Map();
+    this.misbehavingRelayBackoffMs = Number.parseInt(process.env.MISBEHAVING_RELAY_BACKOFF_MS || '1800000', 10);
+    this.misbehavingRelays = new Map();
+    this.relayMaxFanout = Number.parseInt(process.env.RELAY_MAX_FANOUT || '8', 10);
+    this.relayFailureThreshold = Number.parseInt(process.env.RELAY_FAILURE_THRESHOLD || '3', 10);
+    this.relaySidelineBaseMs = Number.parseInt(process.env.RELAY_SIDELINE_BASE_MS || '30000', 10);
+    this.relaySidelineMaxMs = Number.parseInt(process.env.RELAY_SIDELINE_MAX_MS || '1800000', 10);
+    this.relayHealthMaxEntries = Number.parseInt(process.env.RELAY_HEALTH_MAX_ENTRIES || '5000', 10);
+    this.relayHealth = new Map();
+    this.nip05Timeout = Number.parseInt(process.env.NIP05_TIMEOUT || '3000', 10);
+    this.nip05CacheTtlMs = Number.parseInt(process.env.NIP05_CACHE_TTL_MS || '3600000', 10);
+    this.nip05Cache = new MemoryCache({
+      maxEntries: Number.parseInt(process.env.NIP05_CACHE_MAX_ENTRIES || '20000', 10),
+    });
+    this.nip05Requests = new Map();
+    this.lookupBatchWindowMs = Number.parseInt(process.env.RELAY_BATCH_WINDOW_MS || '25', 10);
+    this.lookupBatchMaxSize = Number.parseInt(process.env.RELAY_BATCH_MAX_SIZE || '100', 10);
+    this.pendingLookups = new Map();
+    this.mentionResolveLimit = Number.parseInt(process.env.MENTION_RESOLVE_LIMIT || '20', 10);
+    this.mentionSnippetLength = Number.parseInt(process.env.MENTION_SNIPPET_LENGTH || '80', 10);
   }
 
   parseRelayList(relaysString, fallbackRelays) {
@@ -54,79 +108,707 @@ class NostrService {
     )];
   }
 
+  normalizeRelayUrl(relay) {
+    if (typeof relay !== 'string') {
+      return null;
+    }
+
+    const trimmedRelay = relay.trim();
+    if (!(trimmedRelay.startsWith('wss://') || trimmedRelay.startsWith('ws://'))) {
+      return null;
+    }
+
+    try {
+      return new URL(trimmedRelay).toString().replace(/\/$/, '');
+    } catch (error) {
+      return null;
+    }
+  }
+
   getAllKnownRelays() {
     return [...new Set([...this.defaultEventRelays, ...this.defaultProfileRelays])];
   }
 
-  buildRelayList(relayHints = [], type = 'event') {
+  getOpenRelays() {
+    if (!this.pool) {
+      return [];
+    }
+
+    return [...this.pool.listConnectionStatus().keys()];
+  }
+
+  buildRelayList(relayHints = [], type = 'event', authorRelays = []) {
     const baseRelays = type === 'profile' ? this.defaultProfileRelays : this.defaultEventRelays;
-    return [...new Set([...relayHints, ...baseRelays])];
+    return this.selectRelays([...relayHints, ...authorRelays], baseRelays);
   }
 
-  getCachedProfile(pubkey) {
-    const cached = this.profileCache.get(pubkey);
-    if (!cached) {
-      return null;
+  async getCachedRelayList(pubkey) {
+    return this.relayListCache.get(pubkey);
+  }
+
+  async setCachedRelayList(pubkey, relayList) {
+    await this.relayListCache.set(pubkey, relayList, this.relayListCacheTtlMs);
+  }
+
+  /**
+   * Parse the `r` tags of a NIP-65 relay list event
+   * @param {Object} relayListEvent - The kind 10002 event
+   * @returns {{read: Array<string>, write: Array<string>}} The read and write relays
+   */
+  parseRelayListEvent(relayListEvent) {
+    const read = new Set();
+    const write = new Set();
+
+    for (const tag of relayListEvent?.tags || []) {
+      if (tag[0] !== 'r') {
+        continue;
+      }
+
+      const relay = this.normalizeRelayUrl(tag[1]);
+      if (!relay) {
+        continue;
+      }
+
+      const marker = tag[2];
+      if (!marker || marker === 'read') {
+        read.add(relay);
+      }
+      if (!marker || marker === 'write') {
+        write.add(relay);
+      }
     }
 
-    if (Date.now() - cached.timestamp > this.profileCacheTtlMs) {
-      this.profileCache.delete(pubkey);
-      return null;
+    return {
+      read: [...read],
+      write: [...write],
+    };
+  }
+
+  /**
+   * Fetch the NIP-65 relay list (kind 10002) of a pubkey from the discovery relays
+   * @param {string} pubkey - The public key in hex format
+   * @returns {Promise<{read: Array<string>, write: Array<string>}>} The read and write relays
+   */
+  async getRelayList(pubkey) {
+    if (!this.pool) {
+      this.initialize();
     }
 
-    return cached.value;
+    if (!pubkey) {
+      throw new Error('pubkey is required');
+    }
+
+    const cachedRelayList = await this.getCachedRelayList(pubkey);
+    if (cachedRelayList) {
+      return cachedRelayList;
+    }
+
+    let requestPromise = this.relayListRequests.get(pubkey);
+    if (!requestPromise) {
+      const relays = this.selectRelays(this.discoveryRelays, this.defaultProfileRelays);
+
+      requestPromise = this.fetchFromRelays(
+        relays,
+        {
+          kinds: [10002],
+          authors: [pubkey]
+        },
+        this.relayListTimeout
+      )
+        .then(async (relayListEvent) => {
+          const relayList = this.parseRelayListEvent(relayListEvent);
+          await this.setCachedRelayList(pubkey, relayList);
+          return relayList;
+        })
+        .finally(() => {
+          this.relayListRequests.delete(pubkey);
+        });
+
+      this.relayListRequests.set(pubkey, requestPromise);
+    }
+
+    return requestPromise;
+  }
+
+  /**
+   * Get the write (outbox) relays of an author, capped to the configured limit.
+   * Lookup failures are logged and result in an empty list so callers can fall back to the defaults.
+   * @param {string} pubkey - The public key in hex format
+   * @returns {Promise<Array<string>>} The author's write relays
+   */
+  async getAuthorRelays(pubkey) {
+    if (!pubkey) {
+      return [];
+    }
+
+    try {
+      const relayList = await this.getRelayList(pubkey);
+      return relayList.write.slice(0, this.outboxRelayLimit);
+    } catch (error) {
+      console.warn(`Could not fetch relay list for ${pubkey}:`, error.message);
+      return [];
+    }
   }
 
-  setCachedProfile(pubkey, profile) {
-    this.profileCache.set(pubkey, {
-      value: profile,
-      timestamp: Date.now(),
+  async getCachedProfile(pubkey) {
+    return this.profileCache.get(pubkey);
+  }
+
+  async setCachedProfile(pubkey, profile) {
+    const cached = await this.profileCache.get(pubkey);
+    if (cached && cached.created_at > profile.created_at) {
+      // Keep the newer version another lookup already found
+      return;
+    }
+
+    await this.profileCache.set(pubkey, profile, this.profileCacheTtlMs);
+  }
+
+  isMisbehavingRelay(relay) {
+    const key = this.normalizeRelayUrl(relay) || relay;
+    const entry = this.misbehavingRelays.get(key);
+    if (!entry) {
+      return false;
+    }
+
+    if (Date.now() > entry.until) {
+      this.misbehavingRelays.delete(key);
+      return false;
+    }
+
+    return true;
+  }
+
+  markMisbehavingRelay(relay, reason) {
+    const key = this.normalizeRelayUrl(relay) || relay;
+    console.warn(`Relay ${key} returned an invalid event (${reason}), ignoring it for ${this.misbehavingRelayBackoffMs}ms`);
+    this.misbehavingRelays.set(key, {
+      reason,
+      until: Date.now() + this.misbehavingRelayBackoffMs,
     });
   }
 
-  async fetchFromRelays(relays, filter, timeoutMs) {
-    return this.pool.get(
-      relays,
-      filter,
-      {
-        timeout: timeoutMs,
+  getRelayHealthEntry(relay) {
+    const key = this.normalizeRelayUrl(relay) || relay;
+    let entry = this.relayHealth.get(key);
+
+    if (!entry) {
+      entry = {
+        queries: 0,
+        successes: 0,
+        failures: 0,
+        timeouts: 0,
+        // Exponentially weighted, so recent answers count more than old ones. New relays start out trusted.
+        successRate: 1,
+        latencyMs: null,
+        consecutiveFailures: 0,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        sidelinedUntil: 0,
+      };
+
+      if (this.relayHealthMaxEntries && this.relayHealth.size >= this.relayHealthMaxEntries) {
+        this.relayHealth.delete(this.relayHealth.keys().next().value);
+      }
+      this.relayHealth.set(key, entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Update the health and metrics of a relay after a query
+   * @param {string} relay - The relay URL
+   * @param {'events'|'empty'|'timeout'|'invalid'|'error'} result - How the query ended
+   * @param {number} durationMs - Time until the relay finished answering
+   */
+  recordRelayResult(relay, result, durationMs) {
+    const normalizedRelay = this.normalizeRelayUrl(relay);
+    recordRelayQuery(this.metricsRelays.has(normalizedRelay) ? normalizedRelay : 'other', result, durationMs);
+
+    const entry = this.getRelayHealthEntry(relay);
+    const succeeded = result === 'events' || result === 'empty';
+    const now = Date.now();
+
+    entry.queries += 1;
+    entry.successRate = entry.successRate * 0.8 + (succeeded ? 0.2 : 0);
+
+    if (succeeded) {
+      entry.successes += 1;
+      entry.latencyMs = entry.latencyMs === null ? durationMs : Math.round(entry.latencyMs * 0.7 + durationMs * 0.3);
+      entry.consecutiveFailures = 0;
+      entry.lastSuccessAt = now;
+      entry.sidelinedUntil = 0;
+      return;
+    }
+
+    entry.failures += 1;
+    entry.consecutiveFailures += 1;
+    entry.lastFailureAt = now;
+    if (result === 'timeout') {
+      entry.timeouts += 1;
+    }
+
+    if (entry.consecutiveFailures >= this.relayFailureThreshold) {
+      // Every failed probe after the backoff doubles the next one
+      const backoffMs = Math.min(
+        this.relaySidelineBaseMs * 2 ** (entry.consecutiveFailures - this.relayFailureThreshold),
+        this.relaySidelineMaxMs,
+      );
+      entry.sidelinedUntil = now + backoffMs;
+      console.warn(`Relay ${this.normalizeRelayUrl(relay) || relay} failed ${entry.consecutiveFailures} times in a row, sidelining it for ${backoffMs}ms`);
+    }
+  }
+
+  /**
+   * Score a relay between 0 and 1 from its recent success rate and latency. Unknown relays score 1.
+   * @param {string} relay - The relay URL
+   * @returns {number} The score, higher is better
+   */
+  getRelayScore(relay) {
+    const entry = this.relayHealth.get(this.normalizeRelayUrl(relay) || relay);
+    if (!entry) {
+      return 1;
+    }
+
+    return entry.successRate / (1 + (entry.latencyMs || 0) / 1000);
+  }
+
+  isSidelinedRelay(relay) {
+    const entry = this.relayHealth.get(this.normalizeRelayUrl(relay) || relay);
+    return Boolean(entry) && Date.now() < entry.sidelinedUntil;
+  }
+
+  isUsableRelay(relay) {
+    return !this.isMisbehavingRelay(relay) && !this.isSidelinedRelay(relay);
+  }
+
+  /**
+   * Drop misbehaving and sidelined relays and order the rest by score, best first
+   * @param {Array<string>} relays - The relay URLs
+   * @returns {Array<string>} The usable relays
+   */
+  rankRelays(relays) {
+    return [...new Set(relays)]
+      .filter((relay) => this.isUsableRelay(relay))
+      .map((relay, index) => ({ relay, index, score: this.getRelayScore(relay) }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(({ relay }) => relay);
+  }
+
+  /**
+   * Pick the relays for one query, capped at RELAY_MAX_FANOUT.
+   * Preferred relays (hints and the author's write relays) come before the ranked fallback relays.
+   * @param {Array<string>} preferredRelays - Relays that are specific to the requested entity
+   * @param {Array<string>} fallbackRelays - General purpose relays
+   * @returns {Array<string>} The selected relays
+   */
+  selectRelays(preferredRelays, fallbackRelays = []) {
+    const relays = [...new Set([...this.rankRelays(preferredRelays), ...this.rankRelays(fallbackRelays)])];
+    return this.relayMaxFanout ? relays.slice(0, this.relayMaxFanout) : relays;
+  }
+
+  /**
+   * Describe the health of every relay queried so far, best first
+   * @returns {Array<Object>} The relay health entries
+   */
+  getRelayHealth() {
+    const now = Date.now();
+
+    return [...this.relayHealth.entries()]
+      .map(([relay, entry]) => ({
+        relay,
+        score: Number(this.getRelayScore(relay).toFixed(3)),
+        status: this.isMisbehavingRelay(relay) ? 'misbehaving' : now < entry.sidelinedUntil ? 'sidelined' : 'healthy',
+        queries: entry.queries,
+        successes: entry.successes,
+        failures: entry.failures,
+        timeouts: entry.timeouts,
+        successRate: Number(entry.successRate.toFixed(3)),
+        latencyMs: entry.latencyMs,
+        consecutiveFailures: entry.consecutiveFailures,
+        lastSuccessAt: entry.lastSuccessAt && new Date(entry.lastSuccessAt).toISOString(),
+        lastFailureAt: entry.lastFailureAt && new Date(entry.lastFailureAt).toISOString(),
+        sidelinedUntil: now < entry.sidelinedUntil ? new Date(entry.sidelinedUntil).toISOString() : null,
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Check that an event carries a valid signature. Events that do not match the filter never get
+   * here, nostr-tools drops them, so queryRelay reports those separately.
+   * @param {Object} event - The event received from a relay
+   * @returns {string|null} The reason the event is invalid, or null when it is valid
+   */
+  getInvalidEventReason(event) {
+    if (!event || typeof event !== 'object') {
+      return 'malformed event';
+    }
+
+    if (!verifyEvent(event)) {
+      return `invalid signature on event ${event.id}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Query a single relay and return every valid event it sent.
+   * Relays that return forged or mismatching events are marked as misbehaving and their events are dropped.
+   * @param {string} relay - The relay URL
+   * @param {Object} filter - The filter to query
+   * @param {number} timeoutMs - Maximum time to wait for the relay
+   * @returns {Promise<Array<Object>>} The valid events
+   */
+  async fetchEventsFromRelay(relay, filter, timeoutMs) {
+    const startedAt = Date.now();
+    let queryResult;
+
+    try {
+      queryResult = await this.queryRelay(relay, filter, timeoutMs);
+    } catch (error) {
+      this.recordRelayResult(relay, 'error', Date.now() - startedAt);
+      throw error;
+    }
+
+    const { events, closeReason, mismatchedIds } = queryResult;
+    const durationMs = Date.now() - startedAt;
+
+    if (mismatchedIds.length) {
+      this.recordRelayResult(relay, 'invalid', durationMs);
+      this.markMisbehavingRelay(relay, `event ${mismatchedIds[0]} does not match the requested filter`);
+      return [];
+    }
+
+    for (const event of events) {
+      const invalidReason = this.getInvalidEventReason(event);
+      if (invalidReason) {
+        this.recordRelayResult(relay, 'invalid', durationMs);
+        this.markMisbehavingRelay(relay, invalidReason);
+        return [];
+      }
+    }
+
+    this.recordRelayResult(relay, this.getRelayQueryResult(events, closeReason, durationMs, timeoutMs), durationMs);
+    return events;
+  }
+
+  /**
+   * Send one REQ to a single relay and collect its events until EOSE or the timeout.
+   * nostr-tools reports the id of every event the relay sends for this subscription to `receivedEvent`,
+   * but only passes the events matching this filter on to `onevent`, so the ids that never arrive
+   * there belong to events that do not match it.
+   * @returns {Promise<{events: Array<Object>, closeReason: string, mismatchedIds: Array<string>}>} The
+   *   events, why the subscription closed and the ids of the events that did not match the filter
+   */
+  queryRelay(relay, filter, timeoutMs) {
+    return new Promise((resolve) => {
+      const events = [];
+      const receivedIds = new Set();
+
+      this.pool.subscribeEose([relay], { ...filter }, {
+        maxWait: timeoutMs,
+        receivedEvent(connection, id) {
+          receivedIds.add(id);
+        },
+        onevent(event) {
+          events.push(event);
+        },
+        onclose(reasons) {
+          for (const event of events) {
+            receivedIds.delete(event.id);
+          }
+
+          resolve({
+            events,
+            closeReason: Array.isArray(reasons) ? reasons[0] : reasons,
+            mismatchedIds: [...receivedIds],
+          });
+        },
+      });
+    });
+  }
+
+  getRelayQueryResult(events, closeReason, durationMs, timeoutMs) {
+    if (events.length) {
+      return 'events';
+    }
+
+    // Subscriptions we close ourselves ended with EOSE, or with the EOSE timeout once maxWait has passed
+    if (!closeReason || closeReason === 'closed by caller') {
+      return durationMs >= timeoutMs ? 'timeout' : 'empty';
+    }
+
+    return /timed out/i.test(closeReason) ? 'timeout' : 'error';
+  }
+
+  /**
+   * Query a single relay and return its newest valid event
+   * @param {string} relay - The relay URL
+   * @param {Object} filter - The filter to query
+   * @param {number} timeoutMs - Maximum time to wait for the relay
+   * @returns {Promise<Object|null>} The newest valid event, or null
+   */
+  async fetchFromRelay(relay, filter, timeoutMs) {
+    const events = await this.fetchEventsFromRelay(relay, filter, timeoutMs);
+
+    let newestEvent = null;
+    for (const event of events) {
+      if (!newestEvent || event.created_at > newestEvent.created_at) {
+        newestEvent = event;
+      }
+    }
+
+    return newestEvent;
+  }
+
+  /**
+   * Describe how a single-item filter can be merged with others: by `ids`, or by `authors` for a
+   * replaceable kind. Returns null for filters that cannot be merged.
+   * @param {Object} filter - The filter to inspect
+   * @returns {{field: string, key: string, kind?: number}|null} The merge descriptor
+   */
+  getBatchableLookup(filter) {
+    const filterKeys = Object.keys(filter).filter((key) => key !== 'limit');
+
+    if (filterKeys.length === 1 && filter.ids?.length === 1) {
+      return { field: 'ids', key: filter.ids[0] };
+    }
+
+    if (
+      filterKeys.length === 2
+      && filter.authors?.length === 1
+      && filter.kinds?.length === 1
+      && this.isReplaceableKind(filter.kinds[0])
+      && filter.kinds[0] < 30000
+    ) {
+      return { field: 'authors', key: filter.authors[0], kind: filter.kinds[0] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Queue a single-item lookup so that lookups of the same shape arriving within the batch window
+   * are sent as one combined filter (`ids: [...]` or `authors: [...]`) to each relay, holding the
+   * keys of every lookup that asked that relay
+   * @param {Array<string>} relays - The relay URLs
+   * @param {{field: string, key: string, kind?: number}} lookup - The merge descriptor
+   * @param {number} timeoutMs - Maximum time to wait for the relays
+   * @returns {Promise<Object|null>} The event for this lookup, or null. Every caller gets its own copy.
+   */
+  queueBatchedLookup(relays, lookup, timeoutMs) {
+    const batchKey = [lookup.field, lookup.kind ?? '', timeoutMs].join('|');
+    let batch = this.pendingLookups.get(batchKey);
+
+    if (!batch) {
+      batch = {
+        field: lookup.field,
+        kind: lookup.kind,
+        timeoutMs,
+        waiters: new Map(),
+        timer: null,
+      };
+      batch.timer = setTimeout(() => this.flushBatchedLookups(batchKey), this.lookupBatchWindowMs);
+      this.pendingLookups.set(batchKey, batch);
+    }
+
+    return new Promise((resolve) => {
+      const waiters = batch.waiters.get(lookup.key) || [];
+      waiters.push({ resolve, relays });
+      batch.waiters.set(lookup.key, waiters);
+
+      if (batch.waiters.size >= this.lookupBatchMaxSize) {
+        this.flushBatchedLookups(batchKey);
+      }
+    });
+  }
+
+  async flushBatchedLookups(batchKey) {
+    const batch = this.pendingLookups.get(batchKey);
+    if (!batch) {
+      return;
+    }
+
+    this.pendingLookups.delete(batchKey);
+    clearTimeout(batch.timer);
+
+    const keys = [...batch.waiters.keys()];
+    const keysByRelay = new Map();
+    for (const [key, waiters] of batch.waiters) {
+      for (const relay of new Set(waiters.flatMap((waiter) => waiter.relays))) {
+        keysByRelay.set(relay, [...(keysByRelay.get(relay) || []), key]);
       }
+    }
+
+    const newestByKey = new Map();
+
+    const settle = (key, event) => {
+      const waiters = batch.waiters.get(key);
+      if (!waiters) {
+        return;
+      }
+
+      batch.waiters.delete(key);
+      // Callers attach their own data (author, mentions) to the event
+      waiters.forEach((waiter) => waiter.resolve(event && structuredClone(event)));
+    };
+
+    const healthyRelays = [...keysByRelay.keys()].filter((relay) => this.isUsableRelay(relay));
+    await Promise.all(healthyRelays.map(async (relay) => {
+      const relayKeys = keysByRelay.get(relay);
+      const filter = batch.field === 'ids'
+        ? { ids: relayKeys }
+        : { kinds: [batch.kind], authors: relayKeys };
+
+      try {
+        const events = await this.fetchEventsFromRelay(relay, filter, batch.timeoutMs);
+
+        for (const event of events) {
+          if (batch.field === 'ids') {
+            // Regular events are immutable, so the first relay to answer wins
+            settle(event.id, event);
+            continue;
+          }
+
+          const newestEvent = newestByKey.get(event.pubkey);
+          if (!newestEvent || event.created_at > newestEvent.created_at) {
+            newestByKey.set(event.pubkey, event);
+          }
+        }
+      } catch (error) {
+        console.warn(`Error querying relay ${relay}:`, error.message);
+      }
+    }));
+
+    for (const key of keys) {
+      settle(key, newestByKey.get(key) || null);
+    }
+  }
+
+  isReplaceableKind(kind) {
+    return kind === 0
+      || kind === 3
+      || (kind >= 10000 && kind < 20000)
+      || (kind >= 30000 && kind < 40000);
+  }
+
+  isReplaceableFilter(filter) {
+    return Array.isArray(filter.kinds)
+      && filter.kinds.length > 0
+      && filter.kinds.every((kind) => this.isReplaceableKind(kind));
+  }
+
+  /**
+   * Query every relay and return the event with the highest created_at.
+   * Used for replaceable and addressable kinds, where the first answer may be an outdated version.
+   */
+  async fetchNewestFromRelays(relays, filter, timeoutMs) {
+    const results = await Promise.allSettled(
+      relays.map((relay) => this.fetchFromRelay(relay, filter, timeoutMs))
     );
+
+    let newestEvent = null;
+    for (const [index, result] of results.entries()) {
+      if (result.status === 'rejected') {
+        console.warn(`Error querying relay ${relays[index]}:`, result.reason?.message);
+        continue;
+      }
+
+      const event = result.value;
+      if (event && (!newestEvent || event.created_at > newestEvent.created_at)) {
+        newestEvent = event;
+      }
+    }
+
+    return newestEvent;
+  }
+
+  async fetchFromRelays(relays, filter, timeoutMs) {
+    const healthyRelays = relays.filter((relay) => this.isUsableRelay(relay));
+    if (!healthyRelays.length) {
+      return null;
+    }
+
+    const batchableLookup = this.getBatchableLookup(filter);
+    if (batchableLookup) {
+      return this.queueBatchedLookup(healthyRelays, batchableLookup, timeoutMs);
+    }
+
+    const relayFilter = { ...filter, limit: 1 };
+
+    if (this.isReplaceableFilter(relayFilter)) {
+      return this.fetchNewestFromRelays(healthyRelays, relayFilter, timeoutMs);
+    }
+
+    // Resolve with the first valid event, or null once every relay has answered
+    return new Promise((resolve) => {
+      let pending = healthyRelays.length;
+
+      for (const relay of healthyRelays) {
+        this.fetchFromRelay(relay, relayFilter, timeoutMs)
+          .then((event) => {
+            if (event) {
+              resolve(event);
+            }
+          })
+          .catch((error) => {
+            console.warn(`Error querying relay ${relay}:`, error.message);
+          })
+          .finally(() => {
+            pending -= 1;
+            if (pending === 0) {
+              resolve(null);
+            }
+          });
+      }
+    });
   }
 
   async fetchWithRetry(relays, filter, timeoutMs, contextLabel) {
     const firstTry = await this.fetchFromRelays(relays, filter, timeoutMs);
     if (firstTry) {
+      recordRelayFetch('first_try');
       return firstTry;
     }
 
-    const allRelays = this.getAllKnownRelays();
-    const retryRelays = [...new Set([...relays, ...allRelays])];
+    // Widen the search with the best known relays that were not part of the first try
+    const additionalRelays = this.rankRelays(this.getAllKnownRelays().filter((relay) => !relays.includes(relay)));
+    const retryRelays = [...relays, ...additionalRelays.slice(0, this.relayMaxFanout || undefined)];
 
     if (retryRelays.length <= relays.length) {
+      recordRelayFetch('not_found');
       return null;
     }
 
     console.warn(`${contextLabel} not found on first relay set, retrying with expanded relay set (${retryRelays.length} relays)`);
-    return this.fetchFromRelays(retryRelays, filter, this.retryTimeout);
+    const retry = await this.fetchFromRelays(retryRelays, filter, this.retryTimeout);
+    recordRelayFetch(retry ? 'retry' : 'not_found');
+    return retry;
   }
 
   initialize() {
     if (this.pool) {
-      this.pool.close(this.getAllKnownRelays());
+      this.pool.close(this.getOpenRelays());
     }
     this.pool = new SimplePool();
+    // Signatures are verified in fetchEventsFromRelay so invalid events can be attributed to the relay that sent them
+    this.pool.verifyEvent = () => true;
     console.log(`Initialized Nostr pool with event relays: ${this.defaultEventRelays.join(', ')}`);
     console.log(`Initialized Nostr pool with profile relays: ${this.defaultProfileRelays.join(', ')}`);
+    console.log(`Initialized Nostr pool with discovery relays: ${this.discoveryRelays.join(', ')}`);
   }
 
   /**
    * Fetch a Nostr event by its ID
    * @param {string} eventId - The event ID in hex format
    * @param {Array<string>} relayHints - Optional relay hints
+   * @param {string} [authorHint] - Optional author pubkey in hex format, used to query the author's write relays
+   * @param {Object} [options]
+   * @param {boolean} [options.resolveMentions=true] - Resolve nostr: references in the content
    * @returns {Promise<Object>} The event object
    */
-  async getEvent(eventId, relayHints = []) {
+  async getEvent(eventId, relayHints = [], authorHint, options = {}) {
     if (!this.pool) {
       this.initialize();
     }
@@ -135,7 +817,8 @@ class NostrService {
       throw new Error('eventId is required');
     }
 
-    const relays = this.buildRelayList(relayHints, 'event');
+    const authorRelays = await this.getAuthorRelays(authorHint);
+    const relays = this.buildRelayList(relayHints, 'event', authorRelays);
 
     try {
       const event = await this.fetchWithRetry(
@@ -165,6 +848,10 @@ class NostrService {
         }
       }
 
+      if (options.resolveMentions !== false) {
+        await this.attachMentions(event);
+      }
+
       return event;
     } catch (error) {
       console.error(`Error fetching event ${eventId}:`, error);
@@ -187,12 +874,13 @@ class NostrService {
       throw new Error('pubkey is required');
     }
 
-    const cachedProfile = this.getCachedProfile(pubkey);
+    const cachedProfile = await this.getCachedProfile(pubkey);
     if (cachedProfile) {
       return cachedProfile;
     }
 
-    const relays = this.buildRelayList(relayHints, 'profile');
+    const authorRelays = await this.getAuthorRelays(pubkey);
+    const relays = this.buildRelayList(relayHints, 'profile', authorRelays);
 
     try {
       // Get the most recent kind 0 event (metadata) for this pubkey
@@ -210,27 +898,197 @@ class NostrService {
         return null;
       }
 
-      let profileData;
+      return this.buildProfileResult(pubkey, profileEvent);
+    } catch (error) {
+      console.error(`Error fetching profile ${pubkey}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse a kind 0 event, verify its NIP-05 identifier and cache the result
+   * @param {string} pubkey - The public key in hex format
+   * @param {Object} profileEvent - The kind 0 event
+   * @returns {Promise<Object>} The raw event together with the parsed profile data
+   */
+  async buildProfileResult(pubkey, profileEvent) {
+    let profileData;
+    try {
+      profileData = JSON.parse(profileEvent.content);
+    } catch (e) {
+      console.error(`Error parsing profile content for ${pubkey}:`, e);
+      profileData = {}; // Default to empty object if parsing fails
+    }
+
+    const result = {
+      ...profileEvent,
+      profile: profileData
+    };
+
+    if (typeof profileData?.nip05 === 'string' && profileData.nip05) {
+      result.nip05 = await this.verifyNip05(profileData.nip05, pubkey);
+    }
+
+    await this.setCachedProfile(pubkey, result);
+
+    // Return both the raw event and the parsed profile data
+    return result;
+  }
+
+  /**
+   * Fetch many profiles at once. The lookups are coalesced into `authors` filters by the batching layer.
+   * @param {Array<{pubkey: string, relayHints?: Array<string>}>} requests - The profiles to fetch
+   * @returns {Promise<Map<string, Object|null>>} The profiles by pubkey
+   */
+  async getProfiles(requests) {
+    const profiles = new Map();
+
+    await Promise.all(requests.map(async ({ pubkey, relayHints = [] }) => {
+      try {
+        profiles.set(pubkey, await this.getProfile(pubkey, relayHints));
+      } catch (error) {
+        console.warn(`Could not fetch profile ${pubkey}:`, error.message);
+        profiles.set(pubkey, null);
+      }
+    }));
+
+    return profiles;
+  }
+
+  /**
+   * Fetch many events at once. The lookups are coalesced into `ids` filters by the batching layer.
+   * @param {Array<{id: string, relayHints?: Array<string>, authorHint?: string}>} requests - The events to fetch
+   * @returns {Promise<Map<string, Object|null>>} The events by id
+   */
+  async getEvents(requests) {
+    const events = new Map();
+
+    await Promise.all(requests.map(async ({ id, relayHints = [], authorHint }) => {
       try {
-        profileData = JSON.parse(profileEvent.content);
-      } catch (e) {
-        console.error(`Error parsing profile content for ${pubkey}:`, e);
-        profileData = {}; // Default to empty object if parsing fails
+        events.set(id, await this.getEvent(id, relayHints, authorHint));
+      } catch (error) {
+        console.warn(`Could not fetch event ${id}:`, error.message);
+        events.set(id, null);
       }
+    }));
 
-      const result = {
-        ...profileEvent,
-        profile: profileData
-      };
+    return events;
+  }
 
-      this.setCachedProfile(pubkey, result);
+  /**
+   * Read the thread references of an event: its root and parent from NIP-10 `e` tags, marked
+   * (`root` and `reply`) or positional (the first is the root, the last the parent), and the
+   * events it quotes from NIP-18 `q` tags
+   * @param {Object} event - The event
+   * @returns {{root: Object|null, parent: Object|null, quotes: Array<Object>}} The references, as
+   *   `{id, relays, author}` or, for quoted addressable events, `{address, kind, pubkey, identifier, relays}`
+   */
+  parseThreadReferences(event) {
+    const tags = Array.isArray(event?.tags) ? event.tags : [];
+    const isHex = (value) => typeof value === 'string' && /^[0-9a-f]{64}$/i.test(value);
+    const toEventReference = (tag) => ({
+      id: tag[1].toLowerCase(),
+      relays: [this.normalizeRelayUrl(tag[2])].filter(Boolean),
+      author: isHex(tag[4]) ? tag[4].toLowerCase() : undefined,
+    });
 
-      // Return both the raw event and the parsed profile data
-      return result;
-    } catch (error) {
-      console.error(`Error fetching profile ${pubkey}:`, error);
-      throw error;
+    const eventTags = tags.filter((tag) => tag[0] === 'e' && isHex(tag[1]));
+    const isMarked = eventTags.some((tag) => ['root', 'reply', 'mention'].includes(tag[3]));
+    let root = null;
+    let parent = null;
+
+    if (isMarked) {
+      const rootTag = eventTags.find((tag) => tag[3] === 'root');
+      const replyTag = eventTags.find((tag) => tag[3] === 'reply');
+      root = rootTag ? toEventReference(rootTag) : null;
+      // A direct reply to the root only marks the root
+      parent = replyTag ? toEventReference(replyTag) : root;
+    } else if (eventTags.length) {
+      root = toEventReference(eventTags[0]);
+      parent = toEventReference(eventTags[eventTags.length - 1]);
+    }
+
+    const quotes = [];
+    const quotedKeys = new Set();
+    for (const tag of tags.filter((entry) => entry[0] === 'q' && typeof entry[1] === 'string')) {
+      const relays = [this.normalizeRelayUrl(tag[2])].filter(Boolean);
+      const addressMatch = tag[1].match(/^(\d+):([0-9a-f]{64}):(.*)$/i);
+      let quote = null;
+
+      if (isHex(tag[1])) {
+        quote = { id: tag[1].toLowerCase(), relays, author: isHex(tag[3]) ? tag[3].toLowerCase() : undefined };
+      } else if (addressMatch) {
+        const [, kind, pubkey, identifier] = addressMatch;
+        quote = { address: tag[1], kind: Number.parseInt(kind, 10), pubkey: pubkey.toLowerCase(), identifier, relays };
+      }
+
+      if (quote && !quotedKeys.has(quote.id || quote.address)) {
+        quotedKeys.add(quote.id || quote.address);
+        quotes.push(quote);
+      }
     }
+
+    return { root, parent, quotes };
+  }
+
+  /**
+   * Fetch the root, parent and quoted events of an event, each with its author profile.
+   * Every event is looked up on the relays hinted in its tag first, then on the relays the event
+   * itself was found on.
+   * @param {Object} event - The event
+   * @param {Array<string>} [relayHints] - Relays the event was requested from
+   * @returns {Promise<{references: Object, root: Object|null, parent: Object|null, quotes: Array<Object>}>}
+   *   The references from parseThreadReferences and the events found for them (null or left out when not found)
+   */
+  async getThreadContext(event, relayHints = []) {
+    const references = this.parseThreadReferences(event);
+    const requests = new Map();
+
+    const fetchReference = (reference) => {
+      const key = reference.id || reference.address;
+      if (!requests.has(key)) {
+        const relays = [...reference.relays, ...relayHints];
+        const request = reference.id
+          ? this.getEvent(reference.id, relays, reference.author, { resolveMentions: false })
+          : this.getArticle(reference.pubkey, reference.identifier, reference.kind, relays, { resolveMentions: false });
+
+        requests.set(key, request.catch((error) => {
+          console.warn(`Could not fetch thread event ${key}:`, error.message);
+          return null;
+        }));
+      }
+
+      return requests.get(key);
+    };
+
+    const [root, parent, quotes] = await Promise.all([
+      references.root ? fetchReference(references.root) : null,
+      references.parent ? fetchReference(references.parent) : null,
+      Promise.all(references.quotes.map(fetchReference)),
+    ]);
+
+    return {
+      references,
+      root,
+      parent,
+      quotes: quotes.filter(Boolean),
+    };
+  }
+
+  async cleanupCaches() {
+    await Promise.all([
+      this.profileCache.cleanup(),
+      this.relayListCache.cleanup(),
+      this.nip05Cache.cleanup(),
+    ]);
+  }
+
+  getCacheStats() {
+    return {
+      profiles: this.profileCache.getStats(),
+      relayLists: this.relayListCache.getStats(),
+      nip05: this.nip05Cache.getStats(),
+    };
   }
 
   /**
@@ -238,10 +1096,22 @@ class NostrService {
    */
   close() {
     if (this.pool) {
-      this.pool.close(this.getAllKnownRelays());
+      this.pool.close(this.getOpenRelays());
       this.pool = null;
     }
-    this.profileCache.clear();
+    for (const batch of this.pendingLookups.values()) {
+      clearTimeout(batch.timer);
+      batch.waiters.forEach((waiters) => waiters.forEach((resolve) => resolve(null)));
+    }
+    this.pendingLookups.clear();
+    if (cacheBackend === 'memory') {
+      // Persistent caches are shared with other instances and outlive this process
+      this.profileCache.clear();
+    }
+    this.relayListCache.clear();
+    this.nip05Cache.clear();
+    this.misbehavingRelays.clear();
+    this.relayHealth.clear();
   }
 
   /**
@@ -250,9 +1120,11 @@ class NostrService {
    * @param {string} identifier - The article identifier
    * @param {number} kind - The event kind
    * @param {Array<string>} relayHints - Optional relay hints
+   * @param {Object} [options]
+   * @param {boolean} [options.resolveMentions=true] - Resolve nostr: references in the content
    * @returns {Promise<Object>} The event object
    */
-  async getArticle(author, identifier, kind, relayHints = []) {
+  async getArticle(author, identifier, kind, relayHints = [], options = {}) {
     if (!this.pool) {
       this.initialize();
     }
@@ -261,7 +1133,8 @@ class NostrService {
       throw new Error('author, identifier and kind are required');
     }
 
-    const relays = this.buildRelayList(relayHints, 'event');
+    const authorRelays = await this.getAuthorRelays(author);
+    const relays = this.buildRelayList(relayHints, 'event', authorRelays);
 
     try {
       const filter = {
@@ -292,12 +1165,273 @@ class NostrService {
         event.author = authorProfile;
       }
 
+      if (options.resolveMentions !== false) {
+        await this.attachMentions(event);
+      }
+
       return event;
     } catch (error) {
       console.error(`Error fetching article ${author}:${identifier}:${kind}:`, error);
       throw error;
     }
   }
+
+  /**
+   * Split a NIP-05 identifier into its name and domain. A bare domain is treated as `_@domain`.
+   * @param {string} identifier - The NIP-05 identifier
+   * @returns {{name: string, domain: string, identifier: string}|null} The parsed identifier, or null when invalid
+   */
+  parseNip05Identifier(identifier) {
+    if (typeof identifier !== 'string') {
+      return null;
+    }
+
+    const trimmedIdentifier = identifier.trim().toLowerCase();
+    const match = (trimmedIdentifier.includes('@') ? trimmedIdentifier : `_@${trimmedIdentifier}`).match(NIP05_IDENTIFIER_REGEX);
+    if (!match) {
+      return null;
+    }
+
+    return {
+      name: match[1],
+      domain: match[2],
+      identifier: `${match[1]}@${match[2]}`,
+    };
+  }
+
+  // Failed lookups are cached as null, so the entry is wrapped to tell them apart from a cache miss
+  async getCachedNip05(identifier) {
+    const cached = await this.nip05Cache.get(identifier);
+    return cached ? cached.lookup : undefined;
+  }
+
+  async setCachedNip05(identifier, lookup) {
+    await this.nip05Cache.set(identifier, { lookup }, this.nip05CacheTtlMs);
+  }
+
+  async fetchNip05(parsedIdentifier) {
+    const { name, domain } = parsedIdentifier;
+
+    try {
+      const response = await outboundGet(`https://${domain}/.well-known/nostr.json`, {
+        params: { name },
+        timeout: this.nip05Timeout,
+        // NIP-05 forbids following redirects
+        maxRedirects: 0,
+        headers: {
+          Accept: 'application/json',
+        },
+      });
+
+      const pubkey = response.data?.names?.[name];
+      if (typeof pubkey !== 'string' || !/^[0-9a-f]{64}$/i.test(pubkey)) {
+        return null;
+      }
+
+      const normalizedPubkey = pubkey.toLowerCase();
+      const relays = Array.isArray(response.data?.relays?.[normalizedPubkey])
+        ? response.data.relays[normalizedPubkey].map((relay) => this.normalizeRelayUrl(relay)).filter(Boolean)
+        : [];
+
+      return {
+        pubkey: normalizedPubkey,
+        relays,
+      };
+    } catch (error) {
+      console.warn(`Could not fetch NIP-05 document for ${parsedIdentifier.identifier}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Resolve a NIP-05 identifier through the domain's /.well-known/nostr.json
+   * @param {string} identifier - The NIP-05 identifier (name@domain)
+   * @returns {Promise<{pubkey: string, relays: Array<string>}|null>} The pubkey and advertised relays, or null
+   */
+  async lookupNip05(identifier) {
+    const parsedIdentifier = this.parseNip05Identifier(identifier);
+    if (!parsedIdentifier) {
+      return null;
+    }
+
+    const cachedLookup = await this.getCachedNip05(parsedIdentifier.identifier);
+    if (cachedLookup !== undefined) {
+      return cachedLookup;
+    }
+
+    let requestPromise = this.nip05Requests.get(parsedIdentifier.identifier);
+    if (!requestPromise) {
+      requestPromise = this.fetchNip05(parsedIdentifier)
+        .then(async (lookup) => {
+          await this.setCachedNip05(parsedIdentifier.identifier, lookup);
+          return lookup;
+        })
+        .finally(() => {
+          this.nip05Requests.delete(parsedIdentifier.identifier);
+        });
+
+      this.nip05Requests.set(parsedIdentifier.identifier, requestPromise);
+    }
+
+    return requestPromise;
+  }
+
+  /**
+   * Verify that a NIP-05 identifier points back to the given pubkey
+   * @param {string} identifier - The NIP-05 identifier from the profile
+   * @param {string} pubkey - The pubkey of the profile in hex format
+   * @returns {Promise<{identifier: string, verified: boolean, relays: Array<string>}>} The verification result
+   */
+  async verifyNip05(identifier, pubkey) {
+    const parsedIdentifier = this.parseNip05Identifier(identifier);
+    if (!parsedIdentifier) {
+      return {
+        identifier,
+        verified: false,
+        relays: [],
+      };
+    }
+
+    const lookup = await this.lookupNip05(parsedIdentifier.identifier);
+    const verified = Boolean(lookup) && lookup.pubkey === pubkey.toLowerCase();
+
+    return {
+      identifier: parsedIdentifier.identifier,
+      verified,
+      relays: verified ? lookup.relays : [],
+    };
+  }
+
+  getDisplayName(profileResult) {
+    const profile = profileResult?.profile || {};
+    return profile.display_name || profile.displayName || profile.name || null;
+  }
+
+  shortenReference(reference) {
+    return `${reference.slice(0, 12)}…${reference.slice(-6)}`;
+  }
+
+  buildSnippet(content) {
+    const text = String(content || '')
+      .replace(NOSTR_REFERENCE_REGEX, (_, reference) => this.shortenReference(reference))
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (text.length <= this.mentionSnippetLength) {
+      return text;
+    }
+
+    return `${text.slice(0, this.mentionSnippetLength - 1).trimEnd()}…`;
+  }
+
+  /**
+   * Resolve a single bech32 reference (npub, nprofile, note, nevent or naddr) to a short description
+   * @param {string} reference - The bech32 string without the nostr: prefix
+   * @returns {Promise<Object>} The resolved mention
+   */
+  async resolveMention(reference) {
+    const decoded = decodeNip19(reference);
+
+    if (decoded.type === 'npub' || decoded.type === 'nprofile') {
+      const pubkey = decoded.type === 'npub' ? decoded.data : decoded.data.pubkey;
+      const relays = decoded.type === 'nprofile' ? decoded.data.relays || [] : [];
+      const profile = await this.getProfile(pubkey, relays);
+
+      return {
+        type: 'profile',
+        pubkey,
+        name: this.getDisplayName(profile),
+        picture: profile?.profile?.picture,
+        resolved: Boolean(profile),
+      };
+    }
+
+    if (decoded.type === 'note' || decoded.type === 'nevent') {
+      const id = decoded.type === 'note' ? decoded.data : decoded.data.id;
+      const relays = decoded.type === 'nevent' ? decoded.data.relays || [] : [];
+      const author = decoded.type === 'nevent' ? decoded.data.author : undefined;
+      const event = await this.getEvent(id, relays, author, { resolveMentions: false });
+
+      return {
+        type: 'event',
+        id,
+        kind: event?.kind,
+        pubkey: event?.pubkey,
+        author: this.getDisplayName(event?.author),
+        snippet: event ? this.buildSnippet(event.content) : null,
+        resolved: Boolean(event),
+      };
+    }
+
+    if (decoded.type === 'naddr') {
+      const { pubkey, identifier, kind, relays } = decoded.data;
+      const article = await this.getArticle(pubkey, identifier, kind, relays || [], { resolveMentions: false });
+      const getTag = (name) => article?.tags?.find((tag) => tag[0] === name)?.[1];
+
+      return {
+        type: 'article',
+        address: `${kind}:${pubkey}:${identifier}`,
+        kind,
+        pubkey,
+        author: this.getDisplayName(article?.author),
+        title: getTag('title') || null,
+        snippet: article ? this.buildSnippet(getTag('summary') || article.content) : null,
+        resolved: Boolean(article),
+      };
+    }
+
+    return {
+      type: decoded.type,
+      resolved: false,
+    };
+  }
+
+  formatMention(reference, mention) {
+    if (!mention?.resolved) {
+      return this.shortenReference(reference);
+    }
+
+    if (mention.type === 'profile') {
+      return `@${mention.name || this.shortenReference(reference)}`;
+    }
+
+    if (mention.type === 'article') {
+      const title = mention.title || mention.snippet;
+      return mention.author ? `"${title}" by @${mention.author}` : `"${title}"`;
+    }
+
+    return mention.author ? `"${mention.snippet}" — @${mention.author}` : `"${mention.snippet}"`;
+  }
+
+  /**
+   * Resolve the nostr: references in the content of an event and attach
+   * a `mentions` map and a human-readable `renderedContent` to it
+   * @param {Object} event - The event to enrich
+   * @returns {Promise<Object>} The same event
+   */
+  async attachMentions(event) {
+    const content = typeof event?.content === 'string' ? event.content : '';
+    const references = [...new Set([...content.matchAll(NOSTR_REFERENCE_REGEX)].map((match) => match[1]))]
+      .slice(0, this.mentionResolveLimit);
+
+    if (!references.length) {
+      return event;
+    }
+
+    const mentions = {};
+    await Promise.all(references.map(async (reference) => {
+      try {
+        mentions[reference] = await this.resolveMention(reference);
+      } catch (error) {
+        console.warn(`Could not resolve mention ${reference}:`, error.message);
+        mentions[reference] = { resolved: false };
+      }
+    }));
+
+    event.mentions = mentions;
+    event.renderedContent = content.replace(NOSTR_REFERENCE_REGEX, (_, reference) => this.formatMention(reference, mentions[reference]));
+    return event;
+  }
 }
 
 module.exports = new NostrService();
\ No newline at end of file
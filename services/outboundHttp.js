@@ -0,0 +1,365 @@
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const outboundAllowedPorts = new Set((process.env.OUTBOUND_ALLOWED_PORTS || '80,443')
+  .split(',')
+  .map((port) => Number.parseInt(port.trim(), 10))
+  .filter((port) => Number.isInteger(port) && port > 0));
+const outboundMaxRedirects = Number.parseInt(process.env.OUTBOUND_MAX_REDIRECTS || '10', 10);
+const outboundMaxResponseBytes = Number.parseInt(process.env.OUTBOUND_MAX_RESPONSE_BYTES || '5242880', 10);
+// Only meant for development and fixture servers on the local machine
+const outboundAllowPrivateNetworks = ['1', 'true', 'yes'].includes(String(process.env.OUTBOUND_ALLOW_PRIVATE_NETWORKS || '').trim().toLowerCase());
+const redirectStatuses = new Set([301, 302, 303, 307, 308]);
+
+// Addresses that are not reachable on the public internet (loopback, private, link-local, CGNAT,
+// multicast, documentation and other special purpose ranges). The families are kept apart because
+// a BlockList also matches IPv4 addresses against IPv4-mapped IPv6 rules.
+const reservedIpv4Addresses = new net.BlockList();
+const reservedIpv6Addresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.88.99.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => reservedIpv4Addresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  // IPv4-mapped, IPv4-translated and 6to4 addresses can point at any IPv4 address
+  ['::ffff:0:0', 96],
+  ['64:ff9b::', 96],
+  ['64:ff9b:1::', 48],
+  ['100::', 64],
+  ['2001::', 23],
+  ['2001:db8::', 32],
+  ['2002::', 16],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['fec0::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => reservedIpv6Addresses.addSubnet(address, prefix, 'ipv6'));
+
+function createRefusedError(message) {
+  const error = new Error(message);
+  error.code = 'ERR_OUTBOUND_REFUSED';
+  return error;
+}
+
+function isReservedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) {
+    return true;
+  }
+
+  return family === 6
+    ? reservedIpv6Addresses.check(address, 'ipv6')
+    : reservedIpv4Addresses.check(address, 'ipv4');
+}
+
+// dns.lookup replacement for the HTTP agents, so the address that is actually connected to is checked
+// and a hostname cannot be re-pointed at a private address after the URL was validated
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const refusedAddress = outboundAllowPrivateNetworks ? null : addresses.find(({ address }) => isReservedAddress(address));
+    if (refusedAddress) {
+      callback(createRefusedError(`${hostname} resolves to the private or reserved address ${refusedAddress.address}`));
+      return;
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+const outboundClient = axios.create({
+  httpAgent: new http.Agent({ keepAlive: true, lookup: guardedLookup }),
+  httpsAgent: new https.Agent({ keepAlive: true, lookup: guardedLookup }),
+});
+
+/**
+ * Check that a URL may be fetched: http(s) only, an allowed port, and a host that does not resolve
+ * to a private or reserved address
+ * @param {string} targetUrl - The URL to check
+ * @returns {Promise<string|null>} The reason the URL is refused, or null when it is allowed
+ */
+async function getRefusedUrlReason(targetUrl) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(targetUrl);
+  } catch (error) {
+    return `Invalid URL ${targetUrl}`;
+  }
+
+  if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+    return `Protocol ${parsedUrl.protocol} is not allowed`;
+  }
+
+  const port = parsedUrl.port ? Number.parseInt(parsedUrl.port, 10) : parsedUrl.protocol === 'https:' ? 443 : 80;
+  if (!outboundAllowedPorts.has(port)) {
+    return `Port ${port} is not allowed`;
+  }
+
+  if (outboundAllowPrivateNetworks) {
+    return null;
+  }
+
+  const hostname = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) {
+    return isReservedAddress(hostname) ? `${hostname} is a private or reserved address` : null;
+  }
+
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    const refusedAddress = addresses.find(({ address }) => isReservedAddress(address));
+    return refusedAddress ? `${hostname} resolves to the private or reserved address ${refusedAddress.address}` : null;
+  } catch (error) {
+    // Unresolvable hosts fail with their DNS error when the request is made
+    return null;
+  }
+}
+
+/**
+ * GET a URL on the public internet. Redirects are followed manually so every hop is checked with
+ * getRefusedUrlReason, and the body is aborted once it grows beyond the size limit.
+ * Accepts the axios request config, with `maxRedirects` and `maxContentLength` defaulting to
+ * OUTBOUND_MAX_REDIRECTS and OUTBOUND_MAX_RESPONSE_BYTES. `timeout` covers the whole redirect chain;
+ * with `responseType: 'stream'` it only bounds the wait for headers, so pass `response.deadline` on to
+ * peekResponseStream and readResponseStream to hold the body to the same deadline.
+ * @param {string} targetUrl - The URL to fetch
+ * @param {import('axios').AxiosRequestConfig} [config] - The axios request config
+ * @returns {Promise<import('axios').AxiosResponse & {finalUrl: string, redirects: Array<string>, deadline: ?number}>}
+ *   The response of the last hop
+ */
+async function outboundGet(targetUrl, config = {}) {
+  const {
+    params,
+    maxRedirects = outboundMaxRedirects,
+    maxContentLength = outboundMaxResponseBytes,
+    validateStatus = (status) => status >= 200 && status < 300,
+    timeout = 0,
+    ...requestConfig
+  } = config;
+  const redirects = [];
+  const deadline = timeout ? Date.now() + timeout : null;
+  let currentUrl = targetUrl;
+
+  for (;;) {
+    const refusedReason = await getRefusedUrlReason(currentUrl);
+    if (refusedReason) {
+      throw createRefusedError(refusedReason);
+    }
+
+    const remainingMs = deadline ? deadline - Date.now() : 0;
+    if (deadline && remainingMs <= 0) {
+      throw createTimeoutError(timeout);
+    }
+
+    const response = await outboundClient.get(currentUrl, {
+      ...requestConfig,
+      // Query parameters are part of the redirect location after the first hop
+      params: redirects.length ? undefined : params,
+      maxRedirects: 0,
+      maxContentLength: maxContentLength || -1,
+      validateStatus: null,
+      timeout: remainingMs,
+    });
+
+    const location = response.headers.location;
+    if (redirectStatuses.has(response.status) && location && maxRedirects > 0) {
+      // A streamed body holds on to its socket until it is read or destroyed
+      if (typeof response.data?.destroy === 'function') {
+        response.data.destroy();
+      }
+
+      if (redirects.length >= maxRedirects) {
+        throw createRefusedError(`Stopped after ${maxRedirects} redirects`);
+      }
+
+      redirects.push(currentUrl);
+      currentUrl = new URL(location, currentUrl).toString();
+      continue;
+    }
+
+    response.finalUrl = currentUrl;
+    response.redirects = redirects;
+    response.deadline = deadline;
+
+    if (validateStatus && !validateStatus(response.status)) {
+      throw new axios.AxiosError(
+        `Request failed with status code ${response.status}`,
+        response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+        response.config,
+        response.request,
+        response,
+      );
+    }
+
+    return response;
+  }
+}
+
+function createTimeoutError(timeout) {
+  return new axios.AxiosError(`timeout of ${timeout}ms exceeded`, axios.AxiosError.ECONNABORTED);
+}
+
+/**
+ * Destroy the stream and call onTimeout once the deadline passes
+ * @returns {Function} Cancels the timer
+ */
+function watchDeadline(stream, deadline, onTimeout) {
+  if (!deadline) {
+    return () => {};
+  }
+
+  const timer = setTimeout(() => {
+    stream.destroy();
+    onTimeout(new axios.AxiosError('timeout exceeded while reading the response body', axios.AxiosError.ECONNABORTED));
+  }, Math.max(deadline - Date.now(), 0));
+  return () => clearTimeout(timer);
+}
+
+/**
+ * Wait for the first chunk of a streamed response body without consuming it
+ * @param {import('stream').Readable} stream - The response stream
+ * @param {Object} [options]
+ * @param {?number} [options.deadline] - Epoch milliseconds after which the stream is destroyed and the
+ *   promise rejects with an ECONNABORTED error (`response.deadline` from outboundGet)
+ * @returns {Promise<Buffer>} The first chunk, empty when the body is empty
+ */
+function peekResponseStream(stream, options = {}) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      cancelDeadline();
+      stream.removeListener('readable', onReadable);
+      stream.removeListener('end', onEnd);
+      stream.removeListener('error', onError);
+    };
+    const onReadable = () => {
+      cleanup();
+      const chunk = stream.read();
+      if (chunk) {
+        stream.unshift(chunk);
+      }
+      resolve(chunk || Buffer.alloc(0));
+    };
+    const onEnd = () => {
+      cleanup();
+      resolve(Buffer.alloc(0));
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+
+    if (stream.readableEnded) {
+      resolve(Buffer.alloc(0));
+      return;
+    }
+
+    const cancelDeadline = watchDeadline(stream, options.deadline, onError);
+    stream.on('readable', onReadable);
+    stream.on('end', onEnd);
+    stream.on('error', onError);
+  });
+}
+
+/**
+ * Read a streamed response body into memory
+ * @param {import('stream').Readable} stream - The response stream (axios `responseType: 'stream'`)
+ * @param {number} maxBytes - Maximum number of bytes to read (0 for no limit)
+ * @param {Object} [options]
+ * @param {boolean} [options.truncate=false] - Stop reading at maxBytes and return the start of the body
+ *   instead of failing with a too-large error
+ * @param {?number} [options.deadline] - Epoch milliseconds after which the stream is destroyed and the
+ *   promise rejects with an ECONNABORTED error (`response.deadline` from outboundGet)
+ * @returns {Promise<{body: Buffer, complete: boolean}>} The bytes read, and whether that is the whole body
+ */
+function readResponseStream(stream, maxBytes, options = {}) {
+  return new Promise((resolve, reject) => {
+    if (stream.readableEnded) {
+      resolve({ body: Buffer.alloc(0), complete: true });
+      return;
+    }
+
+    const chunks = [];
+    let totalBytes = 0;
+    let settled = false;
+
+    const settle = (callback) => {
+      if (!settled) {
+        settled = true;
+        cancelDeadline();
+        callback();
+      }
+    };
+    const cancelDeadline = watchDeadline(stream, options.deadline, (error) => settle(() => reject(error)));
+
+    stream.on('data', (chunk) => {
+      if (settled) {
+        return;
+      }
+
+      if (maxBytes && totalBytes + chunk.length > maxBytes) {
+        stream.destroy();
+
+        if (!options.truncate) {
+          const error = new Error(`Response body exceeds the limit of ${maxBytes} bytes`);
+          error.code = 'ERR_RESPONSE_TOO_LARGE';
+          settle(() => reject(error));
+          return;
+        }
+
+        chunks.push(chunk.subarray(0, maxBytes - totalBytes));
+        settle(() => resolve({ body: Buffer.concat(chunks), complete: false }));
+        return;
+      }
+
+      chunks.push(chunk);
+      totalBytes += chunk.length;
+    });
+    stream.on('end', () => settle(() => resolve({ body: Buffer.concat(chunks), complete: true })));
+    stream.on('error', (error) => settle(() => reject(error)));
+    // A stream that was peeked at is paused until it is resumed explicitly
+    stream.resume();
+  });
+}
+
+function isOutboundRefusal(error) {
+  return error?.code === 'ERR_OUTBOUND_REFUSED';
+}
+
+function isResponseTooLarge(error) {
+  return error?.code === 'ERR_RESPONSE_TOO_LARGE' || /maxContentLength size of .* exceeded/.test(error?.message || '');
+}
+
+module.exports = {
+  getRefusedUrlReason,
+  isOutboundRefusal,
+  isResponseTooLarge,
+  outboundGet,
+  outboundMaxResponseBytes,
+  peekResponseStream,
+  readResponseStream,
+};
@@ -0,0 +1,202 @@
+const webClientUrl = (process.env.WEB_CLIENT_URL || 'https://nostria.app').replace(/\/+$/, '');
+const siteName = process.env.PREVIEW_SITE_NAME || 'Nostria';
+const defaultBotUserAgentPattern = [
+  'bot',
+  'crawler',
+  'spider',
+  'facebookexternalhit',
+  'facebookcatalog',
+  'twitterbot',
+  'slackbot',
+  'discordbot',
+  'telegrambot',
+  'whatsapp',
+  'linkedinbot',
+  'embedly',
+  'pinterest',
+  'redditbot',
+  'skypeuripreview',
+  'mastodon',
+  'bluesky',
+  'iframely',
+  'vkshare',
+  'google-inspectiontool',
+].join('|');
+const botUserAgentRegex = new RegExp(process.env.PREVIEW_BOT_USER_AGENTS || defaultBotUserAgentPattern, 'i');
+const descriptionMaxLength = 200;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function truncateText(value, maxLength = descriptionMaxLength) {
+  const text = String(value || '').replace(/\s+/g, ' ').trim();
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  return `${text.slice(0, maxLength - 1).trimEnd()}…`;
+}
+
+function isBotUserAgent(userAgent) {
+  return Boolean(userAgent) && botUserAgentRegex.test(userAgent);
+}
+
+/**
+ * Decide whether a request should receive the HTML preview page instead of JSON.
+ * Crawlers are matched by User-Agent, other clients through content negotiation.
+ * @param {import('express').Request} req - The incoming request
+ * @returns {boolean} True when HTML should be returned
+ */
+function wantsHtmlPreview(req) {
+  if (isBotUserAgent(req.get('User-Agent'))) {
+    return true;
+  }
+
+  return req.accepts(['json', 'html']) === 'html';
+}
+
+function getTagValue(event, tagName) {
+  const tag = (event?.tags || []).find((entry) => entry[0] === tagName && entry[1]);
+  return tag ? tag[1] : undefined;
+}
+
+function getAuthorName(author) {
+  const profile = author?.profile || {};
+  return profile.display_name || profile.displayName || profile.name || '';
+}
+
+function findContentImage(event) {
+  for (const tag of event?.tags || []) {
+    if (tag[0] !== 'imeta') {
+      continue;
+    }
+
+    const mimeType = tag.find((entry) => entry.startsWith('m '));
+    const url = tag.find((entry) => entry.startsWith('url '));
+    if (url && (!mimeType || mimeType.startsWith('m image/'))) {
+      return url.slice(4).trim();
+    }
+  }
+
+  const imageMatch = String(event?.content || '').match(/https?:\/\/\S+?\.(?:png|jpe?g|gif|webp|avif)(?:\?\S*)?(?=\s|$)/i);
+  return imageMatch ? imageMatch[0] : undefined;
+}
+
+function buildNotePreview(event) {
+  const authorName = getAuthorName(event.author);
+
+  return {
+    title: authorName ? `${authorName} on ${siteName}` : `Note on ${siteName}`,
+    description: truncateText(event.renderedContent || event.content),
+    image: findContentImage(event),
+    largeImage: true,
+    type: 'article',
+  };
+}
+
+function getVerifiedNip05(author) {
+  return author?.nip05?.verified ? author.nip05.identifier.replace(/^_@/, '') : '';
+}
+
+function buildProfilePreview(profileResponse) {
+  const profile = profileResponse.author?.profile || {};
+  const authorName = getAuthorName(profileResponse.author);
+  const nip05 = getVerifiedNip05(profileResponse.author);
+  const displayName = authorName && nip05 ? `${authorName} (✓ ${nip05})` : authorName || (nip05 ? `✓ ${nip05}` : '');
+
+  return {
+    title: displayName ? `${displayName} on ${siteName}` : `Profile on ${siteName}`,
+    description: truncateText(profile.about || profileResponse.content),
+    image: profile.picture,
+    largeImage: false,
+    type: 'profile',
+  };
+}
+
+function buildArticlePreview(event) {
+  const authorName = getAuthorName(event.author);
+  const title = getTagValue(event, 'title');
+
+  return {
+    title: title || (authorName ? `Article by ${authorName}` : `Article on ${siteName}`),
+    description: truncateText(getTagValue(event, 'summary') || event.content),
+    image: getTagValue(event, 'image'),
+    largeImage: true,
+    type: 'article',
+  };
+}
+
+const previewBuilders = {
+  e: buildNotePreview,
+  p: buildProfilePreview,
+  a: buildArticlePreview,
+};
+
+/**
+ * Render a complete HTML document with OpenGraph and Twitter meta tags for a Nostr entity
+ * @param {'e'|'p'|'a'} entityType - The route prefix of the entity
+ * @param {string} entityId - The identifier as it was requested (nevent, npub, naddr or hex)
+ * @param {Object} data - The JSON response of the matching endpoint
+ * @param {Object} [options]
+ * @param {boolean} [options.redirect] - Redirect human visitors to the web client
+ * @param {string} [options.cardImageUrl] - Generated card image used when the entity has no image of its own
+ * @returns {string} The HTML document
+ */
+function renderPreviewPage(entityType, entityId, data, options = {}) {
+  const preview = previewBuilders[entityType](data);
+  const image = preview.image || options.cardImageUrl;
+  const largeImage = preview.image ? preview.largeImage : Boolean(options.cardImageUrl);
+  const canonicalUrl = `${webClientUrl}/${entityType}/${encodeURIComponent(entityId)}`;
+  const title = escapeHtml(preview.title);
+  const description = escapeHtml(preview.description);
+  const metaTags = [
+    `<meta name="description" content="${description}">`,
+    `<meta property="og:site_name" content="${escapeHtml(siteName)}">`,
+    `<meta property="og:type" content="${preview.type}">`,
+    `<meta property="og:title" content="${title}">`,
+    `<meta property="og:description" content="${description}">`,
+    `<meta property="og:url" content="${escapeHtml(canonicalUrl)}">`,
+    `<meta name="twitter:card" content="${largeImage ? 'summary_large_image' : 'summary'}">`,
+    `<meta name="twitter:title" content="${title}">`,
+    `<meta name="twitter:description" content="${description}">`,
+  ];
+
+  if (image) {
+    metaTags.push(`<meta property="og:image" content="${escapeHtml(image)}">`);
+    metaTags.push(`<meta name="twitter:image" content="${escapeHtml(image)}">`);
+  }
+
+  metaTags.push(`<link rel="canonical" href="${escapeHtml(canonicalUrl)}">`);
+
+  if (options.redirect) {
+    metaTags.push(`<meta http-equiv="refresh" content="0; url=${escapeHtml(canonicalUrl)}">`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+${metaTags.join('\n')}
+</head>
+<body>
+<h1>${title}</h1>
+<p>${description}</p>
+<p><a href="${escapeHtml(canonicalUrl)}">Open in ${escapeHtml(siteName)}</a></p>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  isBotUserAgent,
+  renderPreviewPage,
+  wantsHtmlPreview,
+};
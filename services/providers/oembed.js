@@ -0,0 +1,50 @@
+const cheerio = require('cheerio');
+
+function getEmbedUrl(html) {
+  if (!html) {
+    return undefined;
+  }
+
+  return cheerio.load(html)('iframe[src]').attr('src') || undefined;
+}
+
+/**
+ * Create a provider resolving URLs through an oEmbed endpoint
+ * (https://oembed.com), for sites whose pages are too heavy or too scripted to scrape
+ * @param {Object} definition
+ * @param {string} definition.name - Provider name, used in OG_PROVIDERS and OG_PROVIDER_<NAME>_ENDPOINT
+ * @param {Array<string>} definition.domains - Domains (and their subdomains) the provider handles
+ * @param {string} definition.endpoint - The oEmbed endpoint
+ * @param {string} definition.siteName - Site name used when the endpoint does not return a provider name
+ * @param {'video'|'audio'} definition.mediaKind - Field the embed player URL is reported in
+ * @param {string} definition.type - OpenGraph type of the resolved pages
+ * @returns {{name: string, domains: Array<string>, endpoint: string, resolve: Function}} The provider
+ */
+function createOEmbedProvider(definition) {
+  return {
+    name: definition.name,
+    domains: definition.domains,
+    endpoint: definition.endpoint,
+    async resolve(targetUrl, { endpoint, fetchJson }) {
+      const oembed = await fetchJson(endpoint, { url: targetUrl, format: 'json' });
+      const embedUrl = getEmbedUrl(oembed.html);
+
+      return {
+        title: oembed.title,
+        description: oembed.description,
+        url: targetUrl,
+        image: oembed.thumbnail_url,
+        imageWidth: oembed.thumbnail_width,
+        imageHeight: oembed.thumbnail_height,
+        siteName: oembed.provider_name || definition.siteName,
+        type: definition.type,
+        [definition.mediaKind]: embedUrl,
+        author: oembed.author_name,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createOEmbedProvider,
+};
@@ -0,0 +1,87 @@
+const descriptionMaxLength = 300;
+
+function decodeHtmlEntities(value) {
+  // Reddit returns preview URLs HTML-escaped
+  return value ? value.replace(/&amp;/g, '&') : value;
+}
+
+function truncateText(value) {
+  const text = String(value || '').replace(/\s+/g, ' ').trim();
+  return text.length <= descriptionMaxLength ? text : `${text.slice(0, descriptionMaxLength - 1).trimEnd()}…`;
+}
+
+// Map a Reddit URL to the path of its public JSON listing
+function getJsonPath(targetUrl) {
+  const { hostname, pathname } = new URL(targetUrl);
+
+  if (hostname === 'redd.it' || hostname.endsWith('.redd.it')) {
+    const postId = pathname.split('/').filter(Boolean)[0];
+    return postId ? { kind: 'post', path: `/comments/${postId}.json` } : null;
+  }
+
+  const segments = pathname.split('/').filter(Boolean);
+  if (segments.includes('comments')) {
+    return { kind: 'post', path: `/${segments.join('/')}.json` };
+  }
+
+  if ((segments[0] === 'r' || segments[0] === 'user' || segments[0] === 'u') && segments[1] && segments.length <= 2) {
+    const prefix = segments[0] === 'r' ? 'r' : 'user';
+    return { kind: prefix === 'r' ? 'subreddit' : 'user', path: `/${prefix}/${segments[1]}/about.json` };
+  }
+
+  return null;
+}
+
+function buildPostMetadata(post, targetUrl) {
+  const previewImage = post.preview?.images?.[0]?.source;
+  const thumbnail = /^https?:\/\//.test(post.thumbnail || '') ? post.thumbnail : undefined;
+
+  return {
+    title: post.title,
+    description: truncateText(post.selftext) || undefined,
+    url: post.permalink ? `https://www.reddit.com${post.permalink}` : targetUrl,
+    image: decodeHtmlEntities(previewImage?.url) || thumbnail,
+    imageWidth: previewImage?.width,
+    imageHeight: previewImage?.height,
+    siteName: post.subreddit_name_prefixed ? `Reddit - ${post.subreddit_name_prefixed}` : 'Reddit',
+    type: 'article',
+    video: post.media?.reddit_video?.fallback_url,
+    author: post.author ? `u/${post.author}` : undefined,
+    publishedTime: post.created_utc ? new Date(post.created_utc * 1000).toISOString() : undefined,
+  };
+}
+
+function buildAboutMetadata(about, kind, targetUrl) {
+  const image = decodeHtmlEntities(about.community_icon || about.icon_img || about.snoovatar_img);
+
+  return {
+    title: kind === 'subreddit' ? about.display_name_prefixed || about.title : `u/${about.name}`,
+    description: truncateText(about.public_description || about.subreddit?.public_description) || undefined,
+    url: targetUrl,
+    image: image || undefined,
+    siteName: 'Reddit',
+    type: kind === 'subreddit' ? 'website' : 'profile',
+  };
+}
+
+module.exports = {
+  name: 'reddit',
+  domains: ['reddit.com', 'redd.it'],
+  endpoint: 'https://www.reddit.com',
+  async resolve(targetUrl, { endpoint, fetchJson }) {
+    const jsonPath = getJsonPath(targetUrl);
+    if (!jsonPath) {
+      // Share links, search and other pages have no public JSON, and the pages block scrapers
+      return { title: null, url: targetUrl, siteName: 'Reddit' };
+    }
+
+    const listing = await fetchJson(`${endpoint.replace(/\/+$/, '')}${jsonPath.path}`, { raw_json: 1 });
+
+    if (jsonPath.kind === 'post') {
+      const post = listing?.[0]?.data?.children?.[0]?.data;
+      return post ? buildPostMetadata(post, targetUrl) : null;
+    }
+
+    return listing?.data ? buildAboutMetadata(listing.data, jsonPath.kind, targetUrl) : null;
+  },
+};
@@ -0,0 +1,10 @@
+const { createOEmbedProvider } = require('./oembed');
+
+module.exports = createOEmbedProvider({
+  name: 'soundcloud',
+  domains: ['soundcloud.com'],
+  endpoint: 'https://soundcloud.com/oembed',
+  siteName: 'SoundCloud',
+  mediaKind: 'audio',
+  type: 'music.song',
+});
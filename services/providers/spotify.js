@@ -0,0 +1,10 @@
+const { createOEmbedProvider } = require('./oembed');
+
+module.exports = createOEmbedProvider({
+  name: 'spotify',
+  domains: ['spotify.com'],
+  endpoint: 'https://open.spotify.com/oembed',
+  siteName: 'Spotify',
+  mediaKind: 'audio',
+  type: 'music.song',
+});
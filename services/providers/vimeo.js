@@ -0,0 +1,10 @@
+const { createOEmbedProvider } = require('./oembed');
+
+module.exports = createOEmbedProvider({
+  name: 'vimeo',
+  domains: ['vimeo.com'],
+  endpoint: 'https://vimeo.com/api/oembed.json',
+  siteName: 'Vimeo',
+  mediaKind: 'video',
+  type: 'video.other',
+});
@@ -0,0 +1,39 @@
+const cheerio = require('cheerio');
+
+// The oEmbed HTML is a blockquote with the post text, followed by the author and date
+function getPostText(html) {
+  const $ = cheerio.load(html || '');
+  const $paragraph = $('blockquote p').first();
+  $paragraph.find('br').replaceWith('\n');
+  return $paragraph.text().trim() || undefined;
+}
+
+function getPostDate(html) {
+  const dateText = cheerio.load(html || '')('blockquote > a').last().text().trim();
+  const timestamp = Date.parse(dateText);
+  return Number.isNaN(timestamp) ? undefined : new Date(timestamp).toISOString();
+}
+
+module.exports = {
+  name: 'x',
+  domains: ['x.com', 'twitter.com'],
+  endpoint: 'https://publish.twitter.com/oembed',
+  async resolve(targetUrl, { endpoint, fetchJson }) {
+    if (!/\/status(?:es)?\/\d+/.test(new URL(targetUrl).pathname)) {
+      // Only posts have oEmbed data, profile and search pages are left to the generic fetch
+      return null;
+    }
+
+    const oembed = await fetchJson(endpoint, { url: targetUrl, omit_script: 1, dnt: true });
+
+    return {
+      title: oembed.author_name ? `${oembed.author_name} on X` : 'Post on X',
+      description: getPostText(oembed.html),
+      url: oembed.url || targetUrl,
+      siteName: 'X',
+      type: 'article',
+      author: oembed.author_name,
+      publishedTime: getPostDate(oembed.html),
+    };
+  },
+};
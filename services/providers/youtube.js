@@ -0,0 +1,10 @@
+const { createOEmbedProvider } = require('./oembed');
+
+module.exports = createOEmbedProvider({
+  name: 'youtube',
+  domains: ['youtube.com', 'youtu.be', 'youtube-nocookie.com'],
+  endpoint: 'https://www.youtube.com/oembed',
+  siteName: 'YouTube',
+  mediaKind: 'video',
+  type: 'video.other',
+});
@@ -0,0 +1,266 @@
+// Main content detection modelled on Mozilla Readability: paragraphs score their ancestors by
+// length and comma count, class/id hints and link density adjust the scores, and siblings of
+// the best candidate that look like part of the same article are merged back in.
+
+const unlikelyCandidatePattern = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|consent|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|modal|newsletter|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|yom-remote/i;
+const maybeCandidatePattern = /and|article|body|column|content|main|shadow/i;
+const positiveHintPattern = /article|blog|body|content|entry|h-entry|hentry|main|page|post|story|text/i;
+const negativeHintPattern = /-ad-|banner|combx|comment|com-|consent|contact|cookie|footer|gdpr|masthead|meta|newsletter|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|social|sponsor|shopping|subscribe|tags|taboola|tool|widget/i;
+const unlikelyRoles = new Set(['alert', 'alertdialog', 'banner', 'complementary', 'contentinfo', 'dialog', 'menu', 'menubar', 'navigation', 'search']);
+const blockChildSelector = 'address, article, aside, blockquote, dl, div, fieldset, figure, footer, form, h1, h2, h3, h4, h5, h6, header, hr, img, ol, p, pre, section, table, ul';
+const boilerplateSelector = [
+  'script', 'style', 'noscript', 'iframe', 'svg', 'canvas', 'form', 'button', 'input', 'select', 'textarea',
+  'nav', 'footer', 'header', 'aside', 'dialog',
+  '[aria-hidden="true"]', '[hidden]', '[aria-modal="true"]',
+  ...[...unlikelyRoles].map((role) => `[role="${role}"]`),
+].join(', ');
+const siblingScoreRatio = 0.2;
+const ancestorLevels = 5;
+
+function getText($, element) {
+  return $(element).text().replace(/\s+/g, ' ').trim();
+}
+
+function getHints($, element) {
+  return `${$(element).attr('class') || ''} ${$(element).attr('id') || ''}`;
+}
+
+// Positive and negative class/id hints, as in Readability
+function getClassWeight($, element) {
+  const hints = getHints($, element);
+  let weight = 0;
+
+  if (negativeHintPattern.test(hints)) {
+    weight -= 25;
+  }
+
+  if (positiveHintPattern.test(hints)) {
+    weight += 25;
+  }
+
+  return weight;
+}
+
+/**
+ * Share of the text of an element that sits inside links. In-page links count for less, they
+ * are usually footnotes or a table of contents.
+ * @returns {number} Between 0 (no links) and 1 (only links)
+ */
+function getLinkDensity($, element) {
+  const textLength = getText($, element).length;
+  if (!textLength) {
+    return 0;
+  }
+
+  let linkLength = 0;
+  $(element).find('a').each((_, link) => {
+    const weight = ($(link).attr('href') || '').startsWith('#') ? 0.3 : 1;
+    linkLength += getText($, link).length * weight;
+  });
+
+  return Math.min(1, linkLength / textLength);
+}
+
+function getTagScore(tagName) {
+  if (tagName === 'div' || tagName === 'article') {
+    return 5;
+  }
+
+  if (['pre', 'td', 'blockquote'].includes(tagName)) {
+    return 3;
+  }
+
+  if (['address', 'ol', 'ul', 'dl', 'dd', 'dt', 'li', 'form'].includes(tagName)) {
+    return -3;
+  }
+
+  if (/^h[1-6]$/.test(tagName) || tagName === 'th') {
+    return -5;
+  }
+
+  return 0;
+}
+
+function isUnlikelyCandidate($, element) {
+  const tagName = element.name.toLowerCase();
+  if (['html', 'body', 'article', 'main', 'a', 'table', 'tbody', 'tr', 'td', 'th', 'pre', 'code'].includes(tagName)) {
+    return false;
+  }
+
+  if (unlikelyRoles.has(($(element).attr('role') || '').toLowerCase())) {
+    return true;
+  }
+
+  const hints = getHints($, element);
+  return unlikelyCandidatePattern.test(hints) && !maybeCandidatePattern.test(hints)
+    && $(element).closest('table, pre, code').length === 0;
+}
+
+/**
+ * Remove elements that are never part of the main content: scripts, navigation, dialogs, cookie
+ * banners and elements whose class or id marks them as comments, sidebars, promos or share widgets
+ * @param {import('cheerio').CheerioAPI} $ - The loaded document
+ */
+function removeUnlikelyCandidates($) {
+  $('script, style, noscript, template, iframe, svg, canvas, dialog, [aria-modal="true"], [hidden], [aria-hidden="true"]').remove();
+  $('body *').toArray().reverse().forEach((element) => {
+    if (isUnlikelyCandidate($, element)) {
+      $(element).remove();
+    }
+  });
+}
+
+// Paragraph-like elements whose text scores their ancestors
+function getScorableElements($) {
+  return $('p, pre, td, section, h2, h3, h4, h5, h6, div').toArray().filter((element) => (
+    element.name !== 'div' && element.name !== 'section' ? true : $(element).children(blockChildSelector).length === 0
+  ));
+}
+
+function scoreCandidates($) {
+  const scores = new Map();
+
+  const initializeCandidate = (element) => {
+    if (!scores.has(element)) {
+      scores.set(element, getTagScore(element.name.toLowerCase()) + getClassWeight($, element));
+    }
+  };
+
+  for (const element of getScorableElements($)) {
+    const text = getText($, element);
+    if (text.length < 25) {
+      continue;
+    }
+
+    const ancestors = $(element).parents().toArray().filter((ancestor) => ancestor.name !== 'html').slice(0, ancestorLevels);
+    if (!ancestors.length) {
+      continue;
+    }
+
+    const contentScore = 1 + (text.match(/[,،、，]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+
+    ancestors.forEach((ancestor, level) => {
+      initializeCandidate(ancestor);
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, scores.get(ancestor) + contentScore / divider);
+    });
+  }
+
+  for (const [element, score] of scores) {
+    scores.set(element, score * (1 - getLinkDensity($, element)));
+  }
+
+  return scores;
+}
+
+function isContentSibling($, sibling, siblingScore, threshold) {
+  if (siblingScore >= threshold) {
+    return true;
+  }
+
+  if (sibling.name !== 'p') {
+    return false;
+  }
+
+  const text = getText($, sibling);
+  const linkDensity = getLinkDensity($, sibling);
+  return (text.length > 80 && linkDensity < 0.25)
+    || (text.length > 0 && text.length <= 80 && linkDensity === 0 && /\.( |$)/.test(text));
+}
+
+/**
+ * Find the element holding the main content of a page. The page is stripped of unlikely
+ * candidates first, so the document passed in is modified.
+ * @param {import('cheerio').CheerioAPI} $ - The loaded document
+ * @returns {import('cheerio').Cheerio} The content root, a new element when siblings were merged
+ */
+function selectReadableContentRoot($) {
+  removeUnlikelyCandidates($);
+
+  const scores = scoreCandidates($);
+  let topCandidate = null;
+  let topScore = 0;
+
+  for (const [element, score] of scores) {
+    if (score > topScore && element.name !== 'body') {
+      topCandidate = element;
+      topScore = score;
+    }
+  }
+
+  if (!topCandidate) {
+    return $('body').first();
+  }
+
+  const parent = $(topCandidate).parent();
+  if (!parent.length) {
+    return $(topCandidate);
+  }
+
+  // Siblings scoring close to the best candidate are split parts of the same article
+  const threshold = Math.max(10, topScore * siblingScoreRatio);
+  const topClassName = $(topCandidate).attr('class') || '';
+  const merged = parent.children().toArray().filter((sibling) => {
+    if (sibling === topCandidate) {
+      return true;
+    }
+
+    const sameClassBonus = topClassName && $(sibling).attr('class') === topClassName ? topScore * siblingScoreRatio : 0;
+    return isContentSibling($, sibling, (scores.get(sibling) || 0) + sameClassBonus, threshold);
+  });
+
+  if (merged.length === 1) {
+    return $(topCandidate);
+  }
+
+  const root = $('<div></div>');
+  merged.forEach((sibling) => root.append($(sibling).clone()));
+  return root;
+}
+
+/**
+ * Strip boilerplate from extracted content: navigation, forms and dialogs, and blocks that are
+ * mostly links or carry negative class/id hints without enough prose to outweigh them
+ * @param {import('cheerio').CheerioAPI} $ - The content, loaded on its own
+ * @param {import('cheerio').Cheerio} root - The content root, which is never removed itself
+ */
+function removeBoilerplate($, root) {
+  root.find(boilerplateSelector).remove();
+
+  // Innermost blocks first, so a list of links goes before the section that holds it is weighed
+  root.find('div, section, ul, ol, table, figure').toArray().reverse().forEach((element) => {
+    if ($(element).closest('pre, code').length || $(element).find('pre').length) {
+      return;
+    }
+
+    const text = getText($, element);
+    const weight = getClassWeight($, element);
+    const linkDensity = getLinkDensity($, element);
+    const commaCount = (text.match(/,/g) || []).length;
+    const paragraphCount = $(element).find('p').length;
+    const imageCount = $(element).find('img').length;
+    const isList = element.name === 'ul' || element.name === 'ol';
+
+    if (weight < 0 && commaCount < 10) {
+      $(element).remove();
+      return;
+    }
+
+    if (commaCount >= 10 || element.name === 'figure' && imageCount) {
+      return;
+    }
+
+    const isLinkList = (weight < 25 && linkDensity > (isList ? 0.5 : 0.2) && text.length > 0)
+      || (weight >= 25 && linkDensity > 0.5);
+    const isImageGallery = !isList && imageCount > 1 && paragraphCount < imageCount / 2 && text.length < 200;
+
+    if (isLinkList || isImageGallery || (!text.length && !imageCount)) {
+      $(element).remove();
+    }
+  });
+}
+
+module.exports = {
+  removeBoilerplate,
+  selectReadableContentRoot,
+};